@@ -0,0 +1,187 @@
+// Shared cache and rate-limit storage.
+// With REDIS_URL set, cached data and rate-limit counters live in Redis so every
+// instance sees the same state. Without it everything stays in process memory.
+const NodeCache = require('node-cache');
+const { createClient } = require('redis');
+
+let redisClient = null;
+
+function getRedisClient() {
+  if (!process.env.REDIS_URL) return null;
+  if (redisClient) return redisClient;
+
+  // Without the offline queue, commands sent while Redis is unreachable fail at once
+  // instead of waiting for a reconnect that may never come
+  redisClient = createClient({ url: process.env.REDIS_URL, disableOfflineQueue: true });
+  redisClient.on('error', (error) => {
+    console.error('Redis error:', error.message);
+  });
+  redisClient.on('ready', () => {
+    console.log('Redis connected');
+  });
+  redisClient.connect().catch((error) => {
+    console.error('Redis connection failed:', error.message);
+  });
+
+  return redisClient;
+}
+
+// In-process cache. Values are returned as copies, like the Redis backend.
+class MemoryCache {
+  constructor({ stdTTL }) {
+    this.store = new NodeCache({ stdTTL });
+  }
+
+  async get(key) {
+    return this.store.get(key);
+  }
+
+  async mget(keys) {
+    return this.store.mget(keys);
+  }
+
+  // ttl in seconds; 0 keeps the value until it is deleted
+  async set(key, value, ttl) {
+    if (ttl === undefined) {
+      this.store.set(key, value);
+    } else {
+      this.store.set(key, value, ttl);
+    }
+  }
+
+  async del(key) {
+    this.store.del(key);
+  }
+
+  async incr(key) {
+    const next = (this.store.get(key) || 0) + 1;
+    this.store.set(key, next, 0);
+    return next;
+  }
+}
+
+// Redis cache. Values are stored as JSON. When a Redis command fails the in-memory
+// fallback serves it instead, so a Redis outage makes caching per-instance for a
+// while rather than failing or stalling requests.
+class RedisCache {
+  constructor(client, { stdTTL, prefix = 'cache:' }) {
+    this.client = client;
+    this.stdTTL = Number(stdTTL) || 0;
+    this.prefix = prefix;
+    this.fallback = new MemoryCache({ stdTTL });
+  }
+
+  async get(key) {
+    try {
+      const value = await this.client.get(this.prefix + key);
+      return value === null ? undefined : JSON.parse(value);
+    } catch (error) {
+      console.error('Redis cache get failed:', error.message);
+      return this.fallback.get(key);
+    }
+  }
+
+  async mget(keys) {
+    const values = {};
+    if (keys.length === 0) return values;
+    try {
+      const stored = await this.client.mGet(keys.map(key => this.prefix + key));
+      keys.forEach((key, index) => {
+        if (stored[index] !== null) values[key] = JSON.parse(stored[index]);
+      });
+    } catch (error) {
+      console.error('Redis cache mget failed:', error.message);
+      return this.fallback.mget(keys);
+    }
+    return values;
+  }
+
+  async set(key, value, ttl) {
+    const seconds = ttl === undefined ? this.stdTTL : Number(ttl);
+    try {
+      await this.client.set(this.prefix + key, JSON.stringify(value), seconds > 0 ? { EX: seconds } : {});
+    } catch (error) {
+      console.error('Redis cache set failed:', error.message);
+      await this.fallback.set(key, value, ttl);
+    }
+  }
+
+  async del(key) {
+    // Clear the fallback too so nothing stale is served from it during an outage
+    await this.fallback.del(key);
+    try {
+      await this.client.del(this.prefix + key);
+    } catch (error) {
+      console.error('Redis cache del failed:', error.message);
+    }
+  }
+
+  async incr(key) {
+    try {
+      return await this.client.incr(this.prefix + key);
+    } catch (error) {
+      console.error('Redis cache incr failed:', error.message);
+      return this.fallback.incr(key);
+    }
+  }
+}
+
+// Count a hit and start the window clock on the first one. Runs as one script so a
+// counter can never be left without an expiry.
+const INCREMENT_SCRIPT = `
+local hits = redis.call('INCR', KEYS[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return { hits, ttl }
+`;
+
+// express-rate-limit store keeping hit counts in Redis, so limits hold across instances
+class RedisRateLimitStore {
+  constructor(client, prefix) {
+    this.client = client;
+    this.prefix = prefix;
+    this.localKeys = false;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  // Errors propagate so express-rate-limit can let the request through (passOnStoreError)
+  async increment(key) {
+    const [totalHits, resetMs] = await this.client.eval(INCREMENT_SCRIPT, {
+      keys: [this.prefix + key],
+      arguments: [String(this.windowMs)]
+    });
+    return { totalHits: Number(totalHits), resetTime: new Date(Date.now() + Number(resetMs)) };
+  }
+
+  async decrement(key) {
+    await this.client.decr(this.prefix + key);
+  }
+
+  async resetKey(key) {
+    await this.client.del(this.prefix + key);
+  }
+}
+
+function createCache(options) {
+  const client = getRedisClient();
+  if (client) {
+    console.log('Using Redis cache');
+    return new RedisCache(client, options);
+  }
+  console.log('Using in-memory cache (set REDIS_URL to share it between instances)');
+  return new MemoryCache(options);
+}
+
+// Returns undefined without Redis, which makes express-rate-limit use its memory store
+function createRateLimitStore(prefix) {
+  const client = getRedisClient();
+  return client ? new RedisRateLimitStore(client, prefix) : undefined;
+}
+
+module.exports = { createCache, createRateLimitStore };
@@ -0,0 +1,253 @@
+// Gemini generation client shared by the match fallback and /api/recipes/generate.
+// Each call is retried on rate limits, server errors and timeouts with jittered
+// exponential backoff. A circuit breaker stops calling Gemini for a while after
+// repeated failures so requests fail fast instead of waiting out every timeout.
+// Breaker state and metrics are per process.
+const axios = require('axios');
+
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+const SAFETY_SETTINGS = [
+  'HARM_CATEGORY_HARASSMENT',
+  'HARM_CATEGORY_HATE_SPEECH',
+  'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+  'HARM_CATEGORY_DANGEROUS_CONTENT'
+].map(category => ({ category, threshold: 'BLOCK_MEDIUM_AND_ABOVE' }));
+
+// Failures callers can tell apart: code is 'circuit-open', 'deadline-exceeded',
+// 'empty-response', 'invalid-json' or 'request-failed'. `text` holds the model output when there was some.
+class GeminiError extends Error {
+  constructor(message, code, { status = null, text = null } = {}) {
+    super(message);
+    this.name = 'GeminiError';
+    this.code = code;
+    this.status = status;
+    this.text = text;
+  }
+}
+
+// Models wrap JSON in ```json fences more often than not
+function parseJsonText(text) {
+  return JSON.parse(text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim());
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// 429, 5xx and requests that never got a response (timeouts, resets) are worth retrying
+function isRetryable(error) {
+  const status = error.response?.status;
+  return !status || status === 429 || status >= 500;
+}
+
+function failureOutcome(error) {
+  const status = error.response?.status;
+  if (status) return status === 429 ? 'rate-limited' : `http-${Math.floor(status / 100)}xx`;
+  return error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' ? 'timeout' : 'network-error';
+}
+
+// Closed: calls go through. Open: calls fail straight away until the cool-down has
+// passed. Half-open: one trial call decides whether to close or open again.
+class CircuitBreaker {
+  constructor({ failureThreshold, cooldownMs }) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  allowRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half-open';
+    }
+    if (this.state === 'closed') return true;
+    if (this.state === 'half-open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.consecutiveFailures++;
+    this.trialInFlight = false;
+    if (this.state === 'half-open' || this.consecutiveFailures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        console.error(`Gemini circuit opened after ${this.consecutiveFailures} consecutive failures`);
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  // A call that failed for reasons unrelated to Gemini's health (bad request)
+  // must still release the half-open trial slot
+  recordNeutral() {
+    this.trialInFlight = false;
+  }
+
+  snapshot() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.cooldownMs).toISOString() : null
+    };
+  }
+}
+
+function emptyStageMetrics() {
+  return {
+    calls: 0,
+    attempts: 0,
+    retries: 0,
+    outcomes: {},
+    latencyMs: { count: 0, last: null, max: 0, total: 0, average: null }
+  };
+}
+
+function createGeminiClient({
+  apiKey,
+  timeoutMs = 15000,
+  maxAttempts = 3,
+  backoffBaseMs = 500,
+  backoffMaxMs = 8000,
+  failureThreshold = 5,
+  cooldownMs = 30000
+}) {
+  const breaker = new CircuitBreaker({ failureThreshold, cooldownMs });
+  const stages = {};
+
+  function record(stage, outcome, startedAt) {
+    const metrics = stages[stage];
+    metrics.outcomes[outcome] = (metrics.outcomes[outcome] || 0) + 1;
+    if (startedAt === undefined) return;
+
+    const latency = metrics.latencyMs;
+    const elapsed = Date.now() - startedAt;
+    latency.count++;
+    latency.last = elapsed;
+    latency.max = Math.max(latency.max, elapsed);
+    latency.total += elapsed;
+    latency.average = Math.round(latency.total / latency.count);
+  }
+
+  // Wait before retry `attempt` (1 for the first retry): half the exponential delay
+  // plus a random share of the other half, or Retry-After when Gemini sends one
+  function backoffDelay(attempt, error) {
+    const retryAfter = parseInt(error.response?.headers?.['retry-after']);
+    if (retryAfter > 0) return Math.min(retryAfter * 1000, backoffMaxMs);
+    const delay = Math.min(backoffMaxMs, backoffBaseMs * 2 ** (attempt - 1));
+    return delay / 2 + Math.random() * delay / 2;
+  }
+
+  // `deadline` (a timestamp) caps the whole call: each attempt's timeout is cut to
+  // the time left, and no retry starts that the deadline would interrupt
+  async function post(stage, model, body, deadline) {
+    const outOfTime = () => new GeminiError(`Gemini ${stage} ran out of time for this request`, 'deadline-exceeded');
+    for (let attempt = 1; ; attempt++) {
+      const remainingMs = deadline ? deadline - Date.now() : timeoutMs;
+      if (remainingMs <= 0) throw outOfTime();
+      stages[stage].attempts++;
+      try {
+        return await axios.post(`${GEMINI_BASE_URL}/${model}:generateContent?key=${apiKey}`, body, {
+          headers: { 'Content-Type': 'application/json' },
+          timeout: Math.min(timeoutMs, remainingMs)
+        });
+      } catch (error) {
+        if (deadline && Date.now() >= deadline) throw outOfTime();
+        if (!isRetryable(error) || attempt >= maxAttempts) throw error;
+        const delay = backoffDelay(attempt, error);
+        if (deadline && Date.now() + delay >= deadline) throw outOfTime();
+        console.log(`Gemini ${stage} attempt ${attempt} failed (${failureOutcome(error)}), retrying in ${Math.round(delay)}ms`);
+        stages[stage].retries++;
+        await sleep(delay);
+      }
+    }
+  }
+
+  // Run one generation stage. Returns the model's text, or with `parse` what it
+  // makes of the text; output `parse` rejects is counted as 'invalid-json'.
+  async function run({ stage, model, prompt, temperature, maxOutputTokens = 1024, deadline = null }, parse) {
+    stages[stage] = stages[stage] || emptyStageMetrics();
+    stages[stage].calls++;
+
+    if (!breaker.allowRequest()) {
+      record(stage, 'circuit-open');
+      throw new GeminiError('Gemini is unavailable, not calling it until the circuit closes', 'circuit-open');
+    }
+
+    const startedAt = Date.now();
+    let response;
+    try {
+      response = await post(stage, model, {
+        contents: [{ parts: [{ text: prompt }] }],
+        generationConfig: { temperature, topK: 1, topP: 1, maxOutputTokens },
+        safetySettings: SAFETY_SETTINGS
+      }, deadline);
+    } catch (error) {
+      // Running out of the caller's time says nothing about Gemini's health
+      if (error instanceof GeminiError) {
+        breaker.recordNeutral();
+        record(stage, error.code, startedAt);
+        throw error;
+      }
+      if (isRetryable(error)) {
+        breaker.recordFailure();
+      } else {
+        breaker.recordNeutral();
+      }
+      record(stage, failureOutcome(error), startedAt);
+      throw new GeminiError(`Gemini ${stage} request failed: ${error.message}`, 'request-failed', {
+        status: error.response?.status || null
+      });
+    }
+
+    breaker.recordSuccess();
+    const text = response.data?.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (!text) {
+      record(stage, 'empty-response', startedAt);
+      throw new GeminiError(`Gemini ${stage} returned no candidates`, 'empty-response');
+    }
+    if (!parse) {
+      record(stage, 'ok', startedAt);
+      return text;
+    }
+
+    let parsed;
+    try {
+      parsed = parse(text);
+    } catch (parseError) {
+      record(stage, 'invalid-json', startedAt);
+      throw new GeminiError(`Gemini ${stage} returned invalid JSON: ${parseError.message}`, 'invalid-json', { text });
+    }
+    record(stage, 'ok', startedAt);
+    return parsed;
+  }
+
+  function generateText(options) {
+    return run(options, null);
+  }
+
+  function generateJson(options) {
+    return run(options, parseJsonText);
+  }
+
+  function metrics() {
+    return { circuit: breaker.snapshot(), stages };
+  }
+
+  return { generateText, generateJson, metrics };
+}
+
+module.exports = { createGeminiClient, GeminiError, parseJsonText };
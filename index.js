@@ -4,27 +4,39 @@ const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
-const NodeCache = require('node-cache');
-const axios = require('axios');
+const crypto = require('crypto');
 require('dotenv').config();
+const { createCache, createRateLimitStore } = require('./cache');
+const { createLlmProvider, requestDeadline, isProviderError } = require('./llm');
+const { createMatchCandidateCache } = require('./match-cache');
+const { DIFFICULTY_LEVELS, parseTimeToMinutes, validateRecipe, RecipeValidationError } = require('./recipe-schema');
+const ingredientTaxonomySeed = require('./data/ingredient-taxonomy.json');
+const ingredientSubstitutionsSeed = require('./data/ingredient-substitutions.json');
+const { parseIngredient } = require('./ingredient-parser');
+const { UNIT_SYSTEMS, parseAmount, convertAmount, assessQuantities, normalizeQuantity, scaleQuantity, formatIngredient } = require('./units');
+const { RESHOW_AFTER_DAYS, RESHOW_MIN_RATING, hiddenViewCondition } = require('./view-history');
 
 const app = express();
 const port = process.env.PORT || 3000;
 
-// Spice pack definitions (must match client)
-const spicePackDefinitions = {
-  basic: 'salt and pepper',
-  italian: 'basil, oregano, thyme, rosemary, garlic powder',
-  mexican: 'cumin, chili powder, paprika, cayenne pepper, oregano, garlic powder',
-  indian: 'turmeric, cumin, coriander, garam masala, cardamom, mustard seeds',
-  chinese: 'soy sauce, ginger, garlic, sesame oil, five-spice powder, white pepper',
-  bbq: 'paprika, brown sugar, garlic powder, onion powder, cayenne, black pepper',
-  baking: 'all-purpose flour, butter, sugar, baking powder, baking soda, vanilla extract, eggs, milk',
-  oils: 'cooking oil, vinegar',
-  condiments: 'ketchup, mustard, mayonnaise, hot sauce, honey, maple syrup, worcestershire sauce, ranch dressing',
-  mediterranean: 'lemon juice, feta cheese, olives, sun-dried tomatoes, za\'atar, sumac, mint, dill'
+// Built-in spice packs. These seed the spice_packs table on startup; after that
+// the table is the source of truth, so packs can change without an app release.
+const builtInSpicePacks = {
+  basic: { name: 'Basic', items: ['salt', 'pepper'] },
+  italian: { name: 'Italian', items: ['basil', 'oregano', 'thyme', 'rosemary', 'garlic powder'] },
+  mexican: { name: 'Mexican', items: ['cumin', 'chili powder', 'paprika', 'cayenne pepper', 'oregano', 'garlic powder'] },
+  indian: { name: 'Indian', items: ['turmeric', 'cumin', 'coriander', 'garam masala', 'cardamom', 'mustard seeds'] },
+  chinese: { name: 'Chinese', items: ['soy sauce', 'ginger', 'garlic', 'sesame oil', 'five-spice powder', 'white pepper'] },
+  bbq: { name: 'BBQ', items: ['paprika', 'brown sugar', 'garlic powder', 'onion powder', 'cayenne', 'black pepper'] },
+  baking: { name: 'Baking', items: ['all-purpose flour', 'butter', 'sugar', 'baking powder', 'baking soda', 'vanilla extract', 'eggs', 'milk'] },
+  oils: { name: 'Oils', items: ['cooking oil', 'vinegar'] },
+  condiments: { name: 'Condiments', items: ['ketchup', 'mustard', 'mayonnaise', 'hot sauce', 'honey', 'maple syrup', 'worcestershire sauce', 'ranch dressing'] },
+  mediterranean: { name: 'Mediterranean', items: ['lemon juice', 'feta cheese', 'olives', 'sun-dried tomatoes', 'za\'atar', 'sumac', 'mint', 'dill'] }
 };
 
+// Packs assumed when the client doesn't send any
+const DEFAULT_SPICE_PACKS = ['basic'];
+
 // Fix DATABASE_URL if it contains newlines or spaces
 let DATABASE_URL = process.env.DATABASE_URL || '';
 
@@ -49,13 +61,13 @@ const pool = new Pool({
   }
 });
 
-// In-memory cache (can be replaced with Redis)
-const cache = new NodeCache({ stdTTL: process.env.CACHE_TTL || 3600 });
+// Shared cache: Redis when REDIS_URL is set, in-memory otherwise
+const cache = createCache({ stdTTL: process.env.CACHE_TTL || 3600 });
 
-// Gemini API configuration
+// Recipe generation: Gemini by default, or local fixtures with LLM_PROVIDER=fixture.
+// Recipes are generated by a fast model, then reviewed and corrected by a more accurate one.
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const GEMINI_15_FLASH_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent';
-const GEMINI_20_FLASH_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-exp:generateContent';
+const llm = createLlmProvider({ apiKey: GEMINI_API_KEY });
 
 // Rate limiter for recipe generation (stricter limits)
 const recipeGenerationLimiter = rateLimit({
@@ -64,7 +76,9 @@ const recipeGenerationLimiter = rateLimit({
   message: 'Too many recipe generation requests, please try again later.',
   standardHeaders: true,
   legacyHeaders: false,
-  keyGenerator: (req) => req.body.deviceId || req.ip
+  keyGenerator: (req) => req.body.deviceId || req.ip,
+  store: createRateLimitStore('ratelimit:generate:'),
+  passOnStoreError: true // Don't block generation if Redis is unreachable
 });
 
 // Test database connection and ensure tables exist on startup
@@ -109,6 +123,215 @@ async function initializeDatabaseTables() {
     await pool.query('ALTER TABLE recipe_views ADD COLUMN IF NOT EXISTS rating INTEGER CHECK (rating >= 1 AND rating <= 5)');
     console.log('✓ rating column ready in recipe_views');
     
+    // "Not interested" keeps a recipe hidden from a device even after a history reset
+    await pool.query('ALTER TABLE recipe_views ADD COLUMN IF NOT EXISTS not_interested BOOLEAN DEFAULT false');
+    console.log('✓ not_interested column ready in recipe_views');
+    
+    // Create device_view_resets table. Views before reset_at no longer hide recipes;
+    // the rows themselves are kept because they hold the device's ratings.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS device_view_resets (
+        device_id VARCHAR(255) PRIMARY KEY,
+        reset_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('✓ device_view_resets table ready');
+    
+    // Create device_exclusions table (allergens and "never show" ingredients per device)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS device_exclusions (
+        id SERIAL PRIMARY KEY,
+        device_id VARCHAR(255) NOT NULL,
+        ingredient VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(device_id, ingredient)
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_device_exclusions_device ON device_exclusions(device_id)');
+    console.log('✓ device_exclusions table ready');
+    
+    // Create spice_packs table. Built-in packs have no device_id; custom packs
+    // ("my pantry basics") belong to one device and are referenced by id.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS spice_packs (
+        id SERIAL PRIMARY KEY,
+        pack_key VARCHAR(100),
+        name VARCHAR(255) NOT NULL,
+        items TEXT[] NOT NULL DEFAULT '{}',
+        device_id VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_spice_packs_key ON spice_packs(pack_key) WHERE device_id IS NULL');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_spice_packs_device ON spice_packs(device_id)');
+    
+    // Seed built-in packs without overwriting packs edited in the database
+    for (const [key, pack] of Object.entries(builtInSpicePacks)) {
+      await pool.query(
+        `INSERT INTO spice_packs (pack_key, name, items) VALUES ($1, $2, $3)
+         ON CONFLICT (pack_key) WHERE device_id IS NULL DO NOTHING`,
+        [key, pack.name, pack.items]
+      );
+    }
+    console.log('✓ spice_packs table ready');
+    
+    // Keep how an ingredient is prepared ("minced", "drained") and allow lines
+    // without an amount ("salt, to taste")
+    await pool.query('ALTER TABLE recipe_ingredients ADD COLUMN IF NOT EXISTS preparation TEXT');
+    await pool.query('ALTER TABLE recipe_ingredients ALTER COLUMN amount DROP NOT NULL');
+    await pool.query('ALTER TABLE recipe_ingredients ALTER COLUMN unit DROP NOT NULL');
+    console.log('✓ preparation column ready in recipe_ingredients');
+    
+    // Each recipe's ingredient set as a sorted array of lowercase names, so matching
+    // can use the GIN index instead of grouping recipe_ingredients on every request.
+    // Triggers keep it current for every writer, including the seed scripts.
+    await pool.query(`ALTER TABLE recipes ADD COLUMN IF NOT EXISTS ingredient_signature TEXT[] NOT NULL DEFAULT '{}'`);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_recipes_ingredient_signature ON recipes USING GIN (ingredient_signature)');
+    await pool.query(`
+      CREATE OR REPLACE FUNCTION recipe_ingredient_signature(target_recipe_id INTEGER) RETURNS TEXT[] AS $$
+        SELECT COALESCE(ARRAY_AGG(DISTINCT LOWER(i.name) ORDER BY LOWER(i.name)), '{}')
+        FROM recipe_ingredients ri
+        JOIN ingredients i ON ri.ingredient_id = i.id
+        WHERE ri.recipe_id = target_recipe_id
+      $$ LANGUAGE SQL STABLE
+    `);
+    await pool.query(`
+      CREATE OR REPLACE FUNCTION refresh_recipe_signature() RETURNS TRIGGER AS $$
+      BEGIN
+        IF TG_TABLE_NAME = 'ingredients' THEN
+          UPDATE recipes SET ingredient_signature = recipe_ingredient_signature(id)
+          WHERE id IN (SELECT recipe_id FROM recipe_ingredients WHERE ingredient_id = NEW.id);
+          RETURN NULL;
+        END IF;
+        IF TG_OP <> 'INSERT' THEN
+          UPDATE recipes SET ingredient_signature = recipe_ingredient_signature(OLD.recipe_id) WHERE id = OLD.recipe_id;
+        END IF;
+        IF TG_OP <> 'DELETE' THEN
+          UPDATE recipes SET ingredient_signature = recipe_ingredient_signature(NEW.recipe_id) WHERE id = NEW.recipe_id;
+        END IF;
+        RETURN NULL;
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    await pool.query('DROP TRIGGER IF EXISTS recipe_ingredients_signature ON recipe_ingredients');
+    await pool.query(`
+      CREATE TRIGGER recipe_ingredients_signature
+      AFTER INSERT OR UPDATE OF recipe_id, ingredient_id OR DELETE ON recipe_ingredients
+      FOR EACH ROW EXECUTE FUNCTION refresh_recipe_signature()
+    `);
+    await pool.query('DROP TRIGGER IF EXISTS ingredients_signature ON ingredients');
+    await pool.query(`
+      CREATE TRIGGER ingredients_signature
+      AFTER UPDATE OF name ON ingredients
+      FOR EACH ROW WHEN (OLD.name IS DISTINCT FROM NEW.name)
+      EXECUTE FUNCTION refresh_recipe_signature()
+    `);
+    
+    // Backfill recipes written before the column existed
+    const backfill = await pool.query(
+      `UPDATE recipes SET ingredient_signature = recipe_ingredient_signature(id)
+       WHERE ingredient_signature = '{}' AND EXISTS (SELECT 1 FROM recipe_ingredients WHERE recipe_id = recipes.id)`
+    );
+    console.log(`✓ ingredient_signature column ready (${backfill.rowCount} recipes backfilled)`);
+    
+    // Amounts are stored in canonical units; the amount and unit as entered are kept
+    // alongside for display. Older rows are converted by scripts/normalize-quantities.js.
+    await pool.query('ALTER TABLE recipe_ingredients ADD COLUMN IF NOT EXISTS original_amount TEXT');
+    await pool.query('ALTER TABLE recipe_ingredients ADD COLUMN IF NOT EXISTS original_unit TEXT');
+    console.log('✓ original amount columns ready in recipe_ingredients');
+    
+    // Create ingredient_taxonomy table and seed it from the data file. Rows added
+    // later (new ingredients placed automatically) are kept; seeded rows take the
+    // data file's interchangeable flag.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS ingredient_taxonomy (
+        name VARCHAR(255) PRIMARY KEY,
+        parent VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_ingredient_taxonomy_parent ON ingredient_taxonomy(parent)');
+    await pool.query('ALTER TABLE ingredient_taxonomy ADD COLUMN IF NOT EXISTS interchangeable BOOLEAN NOT NULL DEFAULT false');
+    
+    const taxonomyRows = flattenTaxonomy(ingredientTaxonomySeed);
+    await pool.query(
+      `INSERT INTO ingredient_taxonomy (name, parent, interchangeable)
+       SELECT * FROM unnest($1::text[], $2::text[], $3::boolean[])
+       ON CONFLICT (name) DO UPDATE SET interchangeable = EXCLUDED.interchangeable`,
+      [taxonomyRows.map(row => row.name), taxonomyRows.map(row => row.parent), taxonomyRows.map(row => row.interchangeable)]
+    );
+    
+    // Give uncategorized ingredients the category of their taxonomy node
+    const taxonomy = { parents: Object.fromEntries(taxonomyRows.map(row => [row.name, row.parent])) };
+    const categorized = taxonomyRows.map(row => ingredientCategory(taxonomy, row.name));
+    await pool.query(
+      `UPDATE ingredients i SET category = t.category
+       FROM unnest($1::text[], $2::text[]) AS t(name, category)
+       WHERE LOWER(i.name) = t.name AND (i.category IS NULL OR i.category = 'other')`,
+      [taxonomyRows.map(row => row.name), categorized]
+    );
+    console.log('✓ ingredient_taxonomy table ready');
+    
+    // Create ingredient_substitutions table (buttermilk -> milk + lemon juice) and
+    // seed it from the data file without overwriting edited rows
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS ingredient_substitutions (
+        id SERIAL PRIMARY KEY,
+        ingredient VARCHAR(255) NOT NULL,
+        substitute TEXT[] NOT NULL,
+        ratio VARCHAR(255),
+        notes TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(ingredient, substitute)
+      )
+    `);
+    for (const row of ingredientSubstitutionsSeed) {
+      await pool.query(
+        `INSERT INTO ingredient_substitutions (ingredient, substitute, ratio, notes) VALUES ($1, $2, $3, $4)
+         ON CONFLICT (ingredient, substitute) DO NOTHING`,
+        [row.ingredient, row.substitute, row.ratio, row.notes]
+      );
+    }
+    console.log('✓ ingredient_substitutions table ready');
+    
+    // Create generated_recipes table. Every AI recipe sent to a client is staged here
+    // with a stable "gen-<uuid>" ID and how it was made, so it can be rated and later
+    // promoted into recipes. generated_recipe_views mirrors recipe_views for them.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS generated_recipes (
+        id VARCHAR(64) PRIMARY KEY,
+        title VARCHAR(255) NOT NULL,
+        recipe JSONB NOT NULL,
+        source VARCHAR(50) NOT NULL,
+        provider VARCHAR(50) NOT NULL,
+        generate_model VARCHAR(100),
+        review_model VARCHAR(100),
+        prompt_version VARCHAR(50) NOT NULL,
+        inputs JSONB NOT NULL DEFAULT '{}',
+        device_id VARCHAR(255),
+        average_rating DECIMAL(3,2) DEFAULT 0,
+        rating_count INTEGER DEFAULT 0,
+        promoted_recipe_id INTEGER REFERENCES recipes(id) ON DELETE SET NULL,
+        promoted_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_generated_recipes_device ON generated_recipes(device_id)');
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS generated_recipe_views (
+        id SERIAL PRIMARY KEY,
+        recipe_id VARCHAR(64) NOT NULL REFERENCES generated_recipes(id) ON DELETE CASCADE,
+        device_id VARCHAR(255) NOT NULL,
+        rating INTEGER CHECK (rating >= 1 AND rating <= 5),
+        not_interested BOOLEAN DEFAULT false,
+        viewed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(recipe_id, device_id)
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_generated_recipe_views_device ON generated_recipe_views(device_id)');
+    console.log('✓ generated_recipes tables ready');
+    
     // Create premium_users table if it doesn't exist
     await pool.query(`
       CREATE TABLE IF NOT EXISTS premium_users (
@@ -144,6 +367,22 @@ async function initializeDatabaseTables() {
   }
 }
 
+// Internal tooling routes expose any device's history, so they need the
+// X-Internal-Api-Key header to match INTERNAL_API_KEY. Without the variable they are off.
+function requireInternalKey(req, res, next) {
+  const expected = process.env.INTERNAL_API_KEY;
+  if (!expected) {
+    return res.status(403).json({ error: 'Internal endpoints are disabled' });
+  }
+  
+  const given = Buffer.from(String(req.get('X-Internal-Api-Key') || ''));
+  const wanted = Buffer.from(expected);
+  if (given.length !== wanted.length || !crypto.timingSafeEqual(given, wanted)) {
+    return res.status(401).json({ error: 'Invalid internal API key' });
+  }
+  next();
+}
+
 // Trust proxy for Render deployment - specific to Render's proxy
 app.set('trust proxy', 1); // Trust first proxy only
 
@@ -159,6 +398,8 @@ const limiter = rateLimit({
   max: 100, // limit each IP to 100 requests per windowMs
   standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
   legacyHeaders: false, // Disable the `X-RateLimit-*` headers
+  store: createRateLimitStore('ratelimit:api:'), // Shared between instances when Redis is configured
+  passOnStoreError: true,
   handler: (req, res) => {
     res.status(429).json({
       error: 'Too many requests, please try again later.'
@@ -167,559 +408,1831 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
-// Helper function to parse ingredient strings
-function parseIngredient(ingredientStr) {
-  const measurementPattern = /^(\d+(?:\/\d+)?(?:\.\d+)?)\s*(cup|cups|tablespoon|tablespoons|tbsp|teaspoon|teaspoons|tsp|pound|pounds|lb|lbs|ounce|ounces|oz|gram|grams|g|kilogram|kilograms|kg|liter|liters|l|milliliter|milliliters|ml|piece|pieces|clove|cloves|can|cans|package|packages|bunch|bunches)?\s*(.+?)(?:,\s*(.+))?$/i;
+// Seeded taxonomy names, so descriptors that are part of a name survive
+// ("ground beef" and "whole chicken" are kinds of their own)
+const TAXONOMY_SEED_NAMES = new Set(flattenTaxonomy(ingredientTaxonomySeed).map(row => row.name));
+
+function stripDescriptors(name, pattern) {
+  return name.replace(pattern, '').replace(/\s+/g, ' ').trim();
+}
+
+// Extract core ingredient name (remove descriptors). Related ingredients such as
+// chicken breast and chicken thighs are kept apart here and matched through the taxonomy.
+function getCoreIngredient(ingredientName) {
+  const core = stripDescriptors(ingredientName.toLowerCase(), /\b(fresh|dried|frozen|canned|cooked|raw|minced|diced|chopped|sliced)\b/g);
+  if (TAXONOMY_SEED_NAMES.has(core)) return core;
+  return stripDescriptors(core, /\b(whole|ground)\b/g);
+}
+
+// Known ingredient names plus aliases from the ingredient_aliases table
+// (e.g. spaghetti -> pasta), cached in memory and reloaded once the TTL expires
+const LEXICON_CACHE_KEY = 'ingredient-lexicon';
+const LEXICON_CACHE_TTL = parseInt(process.env.ALIAS_CACHE_TTL) || 600;
+
+// Minimum similarity for a misspelled ingredient to be read as a known one
+const FUZZY_MIN_CONFIDENCE = 0.8;
+
+async function getIngredientLexicon() {
+  const cached = await cache.get(LEXICON_CACHE_KEY);
+  if (cached) return cached;
+  
+  const lexicon = { names: [], aliases: {} };
+  try {
+    // Taxonomy names count as known so "poultry" or "chicken thighs" resolve exactly
+    const namesResult = await pool.query(
+      'SELECT LOWER(name) as name FROM ingredients UNION SELECT LOWER(name) as name FROM ingredient_taxonomy'
+    );
+    lexicon.names = namesResult.rows.map(row => row.name.trim());
+    
+    const aliasResult = await pool.query(`
+      SELECT LOWER(a.alias) as alias, LOWER(i.name) as name
+      FROM ingredient_aliases a
+      JOIN ingredients i ON a.ingredient_id = i.id
+    `);
+    aliasResult.rows.forEach(row => {
+      lexicon.aliases[row.alias.trim()] = row.name;
+    });
+    
+    await cache.set(LEXICON_CACHE_KEY, lexicon, LEXICON_CACHE_TTL);
+    console.log(`Loaded ${lexicon.names.length} ingredients and ${aliasResult.rows.length} aliases`);
+  } catch (error) {
+    // Matching still works on core names if the lexicon can't be loaded
+    console.error('Failed to load ingredient lexicon:', error.message);
+  }
+  return lexicon;
+}
+
+function lookupAlias(aliases, name) {
+  return Object.hasOwn(aliases, name) ? aliases[name] : null;
+}
+
+// Resolve a user or recipe ingredient name to the name stored in the ingredients table.
+// Aliases are checked on the raw name first so "chicken breast" follows the database,
+// then on the descriptor-stripped core name so "ground beef" still finds its alias.
+function normalizeIngredient(ingredientName, lexicon) {
+  const raw = ingredientName.toLowerCase().replace(/\s+/g, ' ').trim();
+  const core = getCoreIngredient(raw);
+  return lookupAlias(lexicon.aliases, raw) || lookupAlias(lexicon.aliases, core) || core;
+}
+
+// Classic Levenshtein edit distance
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Work out which known ingredient a user meant, tolerating typos ("chiken", "parmasan").
+// Returns the resolved name with a 0-1 confidence and how it was resolved, so
+// the client can show "did you mean..." for anything that was not an exact hit.
+function interpretIngredient(input, lexicon) {
+  const name = normalizeIngredient(input, lexicon);
+  const raw = input.toLowerCase().replace(/\s+/g, ' ').trim();
+  
+  if (lexicon.names.includes(name)) {
+    const core = getCoreIngredient(raw);
+    const method = lookupAlias(lexicon.aliases, raw) || lookupAlias(lexicon.aliases, core) ? 'alias' : 'exact';
+    return { input, name, confidence: 1, method };
+  }
   
-  const match = ingredientStr.match(measurementPattern);
+  // Compare against ingredient names and alias spellings; an alias hit resolves to its target
+  const core = getCoreIngredient(raw);
+  const candidates = [
+    ...lexicon.names.map(candidate => ({ spelling: candidate, target: candidate })),
+    ...Object.keys(lexicon.aliases).map(alias => ({ spelling: alias, target: lexicon.aliases[alias] }))
+  ];
   
-  if (match) {
-    return {
-      amount: parseFloat(match[1]),
-      unit: match[2] || 'unit',
-      name: match[3].trim(),
-      preparation: match[4] || null
-    };
+  let best = null;
+  for (const candidate of candidates) {
+    const longest = Math.max(core.length, candidate.spelling.length);
+    // Skip candidates whose length alone rules out a close enough match
+    if (Math.abs(core.length - candidate.spelling.length) > longest * (1 - FUZZY_MIN_CONFIDENCE)) continue;
+    
+    const confidence = 1 - editDistance(core, candidate.spelling) / longest;
+    if (!best || confidence > best.confidence) {
+      best = { target: candidate.target, confidence };
+    }
   }
   
-  return {
-    amount: null,
-    unit: null,
-    name: ingredientStr.trim(),
-    preparation: null
-  };
+  if (best && best.confidence >= FUZZY_MIN_CONFIDENCE) {
+    return { input, name: best.target, confidence: Math.round(best.confidence * 100) / 100, method: 'fuzzy' };
+  }
+  
+  return { input, name, confidence: 0, method: 'unknown' };
 }
 
-// Extract core ingredient name (remove descriptors)
-function getCoreIngredient(ingredientName) {
-  const cleaned = ingredientName
-    .toLowerCase()
-    .replace(/\b(fresh|dried|frozen|canned|cooked|raw|whole|ground|minced|diced|chopped|sliced)\b/g, '')
-    .replace(/\s+/g, ' ')
-    .trim();
-  
-  const mappings = {
-    'chicken breast': 'chicken',
-    'chicken thighs': 'chicken',
-    'chicken wings': 'chicken',
-    'ground beef': 'beef',
-    'beef steak': 'beef',
-    'white rice': 'rice',
-    'brown rice': 'rice',
-    'jasmine rice': 'rice',
-    'basmati rice': 'rice'
-  };
+// Ingredient taxonomy (poultry > chicken > chicken thighs), seeded from
+// data/ingredient-taxonomy.json into the ingredient_taxonomy table and cached as
+// a child -> parent map. Top-level nodes are the ingredient categories.
+const TAXONOMY_CACHE_KEY = 'ingredient-taxonomy';
+const TAXONOMY_CACHE_TTL = parseInt(process.env.TAXONOMY_CACHE_TTL) || 600;
+
+// Flatten the nested seed file into { name, parent, interchangeable } rows, parents
+// first. A node's "$interchangeable": true marks children that can stand in for each
+// other (chicken cuts), as opposed to a grouping of different kinds (fish, citrus).
+function flattenTaxonomy(tree, parent = null, rows = []) {
+  for (const [name, children] of Object.entries(tree)) {
+    if (name.startsWith('$')) continue;
+    rows.push({ name, parent, interchangeable: children.$interchangeable === true });
+    flattenTaxonomy(children, name, rows);
+  }
+  return rows;
+}
+
+async function getIngredientTaxonomy() {
+  const cached = await cache.get(TAXONOMY_CACHE_KEY);
+  if (cached) return cached;
   
-  return mappings[cleaned] || cleaned;
+  const taxonomy = { parents: {}, interchangeable: [] };
+  try {
+    const result = await pool.query('SELECT LOWER(name) as name, LOWER(parent) as parent, interchangeable FROM ingredient_taxonomy');
+    result.rows.forEach(row => {
+      taxonomy.parents[row.name] = row.parent;
+      if (row.interchangeable) taxonomy.interchangeable.push(row.name);
+    });
+    await cache.set(TAXONOMY_CACHE_KEY, taxonomy, TAXONOMY_CACHE_TTL);
+  } catch (error) {
+    // Without the taxonomy, ingredients only match by name
+    console.error('Failed to load ingredient taxonomy:', error.message);
+  }
+  return taxonomy;
 }
 
-// Root route
-app.get('/', (req, res) => {
-  res.json({ 
-    service: 'FridgePodge Recipe API',
-    version: '1.2.0',
-    status: 'running',
-    endpoints: {
-      health: '/health',
-      recipeMatch: 'POST /api/recipes/match',
-      saveFavorite: 'POST /api/recipes/save-favorite',
-      popular: 'GET /api/recipes/popular',
-      mostSaved: 'GET /api/recipes/most-saved',
-      recipeById: 'GET /api/recipes/:id',
-      rateRecipe: 'POST /api/recipes/:id/rate'
+function inTaxonomy(taxonomy, name) {
+  return Object.hasOwn(taxonomy.parents, name);
+}
+
+// Parent, grandparent, ... up to and including the category
+function taxonomyAncestors(taxonomy, name) {
+  const ancestors = [];
+  let current = taxonomy.parents[name];
+  while (current && !ancestors.includes(current)) {
+    ancestors.push(current);
+    current = taxonomy.parents[current];
+  }
+  return ancestors;
+}
+
+// A node and everything below it
+function taxonomySubtree(taxonomy, name) {
+  const subtree = [name];
+  for (let i = 0; i < subtree.length; i++) {
+    for (const [child, parent] of Object.entries(taxonomy.parents)) {
+      if (parent === subtree[i] && !subtree.includes(child)) subtree.push(child);
     }
-  });
-});
+  }
+  return subtree;
+}
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
-});
+function ingredientCategory(taxonomy, name) {
+  if (!inTaxonomy(taxonomy, name)) return null;
+  const ancestors = taxonomyAncestors(taxonomy, name);
+  return ancestors.length > 0 ? ancestors[ancestors.length - 1] : name;
+}
 
-// Database health check
-app.get('/db-health', async (req, res) => {
+// Recipe ingredient names a user's ingredient can stand in for. A category
+// ("poultry", or "any poultry") covers everything in it. Anything else covers its
+// own kind (chicken covers chicken thighs) and its more general parents (chicken
+// breast covers chicken). Siblings are covered only under an interchangeable parent
+// (chicken breast covers chicken thighs, but salmon does not cover cod), so it never
+// jumps to another kind (chicken is not turkey).
+function coverageFor(taxonomy, name, anyOf = false) {
+  if (!inTaxonomy(taxonomy, name)) return [name];
+  
+  const ancestors = taxonomyAncestors(taxonomy, name);
+  if (anyOf || ancestors.length === 0) {
+    return taxonomySubtree(taxonomy, name);
+  }
+  
+  const kinds = ancestors.slice(0, -1);
+  const family = kinds.length > 0 && (taxonomy.interchangeable || []).includes(kinds[0]) ? kinds[0] : name;
+  return [...new Set([...taxonomySubtree(taxonomy, family), ...kinds])];
+}
+
+// Place a new ingredient in the taxonomy under the most specific known ingredient
+// its name contains ("smoked salmon" -> salmon, "chicken sausage" -> sausage).
+// Returns { parent, category }; both are null when nothing fits.
+function categorizeIngredient(taxonomy, name) {
+  if (inTaxonomy(taxonomy, name)) {
+    return { parent: taxonomy.parents[name], category: ingredientCategory(taxonomy, name) };
+  }
+  
+  const words = ` ${name} `;
+  const parent = Object.keys(taxonomy.parents)
+    .filter(candidate => words.includes(` ${candidate} `))
+    .sort((a, b) => b.length - a.length || taxonomyAncestors(taxonomy, b).length - taxonomyAncestors(taxonomy, a).length)[0];
+  
+  return parent
+    ? { parent, category: ingredientCategory(taxonomy, parent) }
+    : { parent: null, category: null };
+}
+
+// Ingredient substitutions, cached as ingredient -> [{ substitute, ratio, notes }]
+const SUBSTITUTION_CACHE_KEY = 'ingredient-substitutions';
+const SUBSTITUTION_CACHE_TTL = parseInt(process.env.SUBSTITUTION_CACHE_TTL) || 600;
+
+async function getIngredientSubstitutions() {
+  const cached = await cache.get(SUBSTITUTION_CACHE_KEY);
+  if (cached) return cached;
+  
+  const substitutions = {};
   try {
-    const result = await pool.query('SELECT NOW() as time, COUNT(*) as tables FROM information_schema.tables WHERE table_schema = \'public\'');
-    res.json({ 
-      status: 'connected',
-      time: result.rows[0].time,
-      tables: result.rows[0].tables,
-      url_length: DATABASE_URL.length,
-      url_preview: DATABASE_URL.substring(0, 30) + '...' + DATABASE_URL.substring(DATABASE_URL.length - 30)
+    const result = await pool.query(
+      'SELECT LOWER(ingredient) as ingredient, substitute, ratio, notes FROM ingredient_substitutions ORDER BY id'
+    );
+    result.rows.forEach(row => {
+      substitutions[row.ingredient] = substitutions[row.ingredient] || [];
+      substitutions[row.ingredient].push({
+        substitute: row.substitute.map(item => item.toLowerCase()),
+        ratio: row.ratio,
+        notes: row.notes
+      });
     });
+    await cache.set(SUBSTITUTION_CACHE_KEY, substitutions, SUBSTITUTION_CACHE_TTL);
   } catch (error) {
-    res.status(500).json({ 
-      status: 'error',
-      message: error.message,
-      hostname: error.hostname || 'unknown',
-      env_set: !!process.env.DATABASE_URL,
-      using_fallback: !process.env.DATABASE_URL || process.env.DATABASE_URL.includes('dpg-d1dgr1umcj7s73f9019')
-    });
+    console.error('Failed to load ingredient substitutions:', error.message);
   }
-});
+  return substitutions;
+}
 
-// Recipe matching endpoint
-app.post('/api/recipes/match', async (req, res) => {
+// Substitutes for an ingredient, including those listed for its more general kinds
+// (whole milk can be swapped like milk). `via` names the entry a substitute came from.
+function findSubstitutes(substitutions, taxonomy, name) {
+  const kinds = [name, ...taxonomyAncestors(taxonomy, name).slice(0, -1)];
+  return kinds.flatMap(kind =>
+    (Object.hasOwn(substitutions, kind) ? substitutions[kind] : []).map(entry => ({ ...entry, via: kind }))
+  );
+}
+
+// For each missing recipe ingredient, the substitutes the user can make from what they have
+function availableSubstitutes(missingIngredients, substitutions, taxonomy, availableIngredients) {
+  return missingIngredients.flatMap(missing =>
+    findSubstitutes(substitutions, taxonomy, missing)
+      .filter(entry => entry.substitute.every(item => availableIngredients.includes(item)))
+      .map(entry => ({ missing, ...entry }))
+  );
+}
+
+// Built-in spice packs from the spice_packs table, cached like the ingredient lexicon
+const SPICE_PACK_CACHE_KEY = 'spice-packs';
+const SPICE_PACK_CACHE_TTL = parseInt(process.env.SPICE_PACK_CACHE_TTL) || 600;
+const MAX_SPICE_PACK_ITEMS = 50;
+
+async function getBuiltInSpicePacks() {
+  const cached = await cache.get(SPICE_PACK_CACHE_KEY);
+  if (cached) return cached;
+  
   try {
-    const { ingredients, dietary, cuisine, spicePacks, deviceId } = req.body;
-    
-    if (!ingredients || !Array.isArray(ingredients) || ingredients.length === 0) {
-      return res.status(400).json({ error: 'Ingredients array required' });
-    }
+    const result = await pool.query(
+      'SELECT pack_key, name, items FROM spice_packs WHERE device_id IS NULL ORDER BY id'
+    );
+    const packs = result.rows.map(row => ({ key: row.pack_key, name: row.name, items: row.items }));
+    await cache.set(SPICE_PACK_CACHE_KEY, packs, SPICE_PACK_CACHE_TTL);
+    return packs;
+  } catch (error) {
+    console.error('Failed to load spice packs, using built-in definitions:', error.message);
+    return Object.entries(builtInSpicePacks).map(([key, pack]) => ({ key, ...pack }));
+  }
+}
 
-    // Extract core ingredients from user input
-    const coreIngredients = ingredients.map(ing => getCoreIngredient(ing.toLowerCase()));
+async function getCustomSpicePacks(deviceId) {
+  if (!deviceId) return [];
+  const result = await pool.query(
+    'SELECT id, name, items FROM spice_packs WHERE device_id = $1 ORDER BY id',
+    [deviceId]
+  );
+  return result.rows.map(row => ({ id: row.id, name: row.name, items: row.items, custom: true }));
+}
 
-    // Create cache key that includes device ID to ensure personalized results
-    const cacheKey = `match:${coreIngredients.sort().join(',')}:${dietary||''}:${cuisine||''}:${deviceId||'anon'}`;
-    
-    // Skip cache for now to ensure exclusion works properly
-    // TODO: Re-enable cache after fixing exclusion logic
-    // const cachedResult = cache.get(cacheKey);
-    // if (cachedResult) {
-    //   console.log('Cache hit:', cacheKey);
-    //   return res.json(cachedResult);
-    // }
+// Short content hash, so clients can tell when any pack they can see has changed
+function spicePackVersion(packs) {
+  return crypto.createHash('sha1').update(JSON.stringify(packs)).digest('hex').slice(0, 12);
+}
 
-    // Get previously viewed recipes and recipes submitted by this device (V6.7)
-    let excludedRecipeIds = [];
-    if (deviceId) {
-      // Get recipes this device has already seen
-      const viewedRecipes = await pool.query(
-        'SELECT DISTINCT recipe_id FROM recipe_views WHERE device_id = $1',
-        [deviceId]
-      );
-      
-      console.log(`Device ${deviceId} has viewed ${viewedRecipes.rows.length} recipes:`, 
-        viewedRecipes.rows.map(r => r.recipe_id).join(', '));
-      
-      // Get recipes submitted by this device
-      const submittedRecipes = await pool.query(
-        'SELECT DISTINCT id FROM recipes WHERE submitted_by = $1',
-        [deviceId]
-      );
-      
-      console.log(`Device ${deviceId} has submitted ${submittedRecipes.rows.length} recipes:`,
-        submittedRecipes.rows.map(r => r.id).join(', '));
-      
-      excludedRecipeIds = [
-        ...viewedRecipes.rows.map(r => parseInt(r.recipe_id)),
-        ...submittedRecipes.rows.map(r => parseInt(r.id))
-      ].filter(id => !isNaN(id)); // Ensure all are valid integers
-      
-      // Debug: Check data types
-      console.log(`Raw viewed recipes:`, viewedRecipes.rows);
-      console.log(`Excluded recipe IDs for device ${deviceId}:`, excludedRecipeIds);
-      console.log(`Excluded IDs types:`, excludedRecipeIds.map(id => typeof id));
-      console.log(`Excluded IDs as string:`, excludedRecipeIds.join(', ') || 'none');
-    }
+// Resolve the spicePacks request parameter. Built-in packs are referenced by key
+// ("italian"), custom packs by numeric id and only for the device that owns them.
+// Unknown references are ignored.
+async function resolveSpicePacks(packRefs, deviceId) {
+  const refs = (Array.isArray(packRefs) ? packRefs : DEFAULT_SPICE_PACKS).map(ref => String(ref));
+  const builtIn = (await getBuiltInSpicePacks()).filter(pack => refs.includes(pack.key));
+  
+  const customIds = refs.filter(ref => /^\d+$/.test(ref)).map(Number);
+  const custom = customIds.length > 0
+    ? (await getCustomSpicePacks(deviceId)).filter(pack => customIds.includes(pack.id))
+    : [];
+  
+  return [...builtIn, ...custom];
+}
 
-    // V7.5: Strict matching - only return recipes with EXACT same ingredients
-    console.log(`V7.5: Looking for recipes with EXACT ingredients: ${coreIngredients.join(', ')}`);
-    
-    let matchQuery;
-    let queryParams;
-    
-    // Build the exact match query
-    if (excludedRecipeIds.length > 0) {
-      console.log(`Excluding ${excludedRecipeIds.length} already viewed recipes`);
-      
-      matchQuery = `
-        WITH recipe_ingredient_counts AS (
-          SELECT 
-            r.id,
-            r.title,
-            r.cuisine,
-            r.servings,
-            r.prep_time,
-            r.cook_time,
-            r.difficulty,
-            r.average_rating,
-            r.rating_count,
-            r.saved_by_count,
-            COUNT(DISTINCT i.id) as total_ingredients,
-            COUNT(DISTINCT CASE WHEN LOWER(i.name) = ANY($1::text[]) THEN i.id END) as matched_ingredients,
-            ARRAY_AGG(DISTINCT LOWER(i.name) ORDER BY LOWER(i.name)) as all_ingredients
-          FROM recipes r
-          JOIN recipe_ingredients ri ON r.id = ri.recipe_id
-          JOIN ingredients i ON ri.ingredient_id = i.id
-          WHERE NOT (r.id = ANY($2::int[]))
-          GROUP BY r.id, r.title, r.cuisine, r.servings, r.prep_time, r.cook_time, r.difficulty, r.average_rating, r.rating_count, r.saved_by_count
-        )
-        SELECT * FROM recipe_ingredient_counts
-        WHERE total_ingredients = $3
-          AND matched_ingredients = $3
-          AND total_ingredients = matched_ingredients
-        ORDER BY average_rating DESC, rating_count DESC
-        LIMIT 1;
-      `;
-      queryParams = [coreIngredients, excludedRecipeIds, coreIngredients.length];
-    } else {
-      console.log('No recipes to exclude, searching all recipes for exact match');
-      matchQuery = `
-        WITH recipe_ingredient_counts AS (
-          SELECT 
-            r.id,
-            r.title,
-            r.cuisine,
-            r.servings,
-            r.prep_time,
-            r.cook_time,
-            r.difficulty,
-            r.average_rating,
-            r.rating_count,
-            r.saved_by_count,
-            COUNT(DISTINCT i.id) as total_ingredients,
-            COUNT(DISTINCT CASE WHEN LOWER(i.name) = ANY($1::text[]) THEN i.id END) as matched_ingredients,
-            ARRAY_AGG(DISTINCT LOWER(i.name) ORDER BY LOWER(i.name)) as all_ingredients
-          FROM recipes r
-          JOIN recipe_ingredients ri ON r.id = ri.recipe_id
-          JOIN ingredients i ON ri.ingredient_id = i.id
-          GROUP BY r.id, r.title, r.cuisine, r.servings, r.prep_time, r.cook_time, r.difficulty, r.average_rating, r.rating_count, r.saved_by_count
-        )
-        SELECT * FROM recipe_ingredient_counts
-        WHERE total_ingredients = $2
-          AND matched_ingredients = $2
-          AND total_ingredients = matched_ingredients
-        ORDER BY average_rating DESC, rating_count DESC
-        LIMIT 1;
-      `;
-      queryParams = [coreIngredients, coreIngredients.length];
-    }
-
-    const result = await pool.query(matchQuery, queryParams);
+// Clean up pack items sent by a client
+function sanitizeSpicePackItems(items) {
+  if (!Array.isArray(items)) return null;
+  const cleaned = items
+    .filter(item => typeof item === 'string')
+    .map(item => item.toLowerCase().replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+  return [...new Set(cleaned)].slice(0, MAX_SPICE_PACK_ITEMS);
+}
 
-    if (result.rows.length === 0) {
-      console.log(`V7.5: No recipes found with EXACT ingredients [${coreIngredients.join(', ')}] for device ${deviceId}`);
-      console.log('Falling back to AI generation...');
-      
-      // Generate recipe using AI when no database match is found
-      try {
-        // Check if Gemini API key is configured
-        if (!GEMINI_API_KEY) {
-          console.error('Gemini API key not configured');
-          return res.status(500).json({ error: 'Recipe generation service not configured' });
-        }
-        
-        // Stage 1: Generate initial recipe with Gemini 1.5 Flash
-        console.log('Stage 1: Generating initial recipe with Gemini 1.5 Flash...');
-        
-        // Get available spices from selected packs
-        const activeSpicePacks = spicePacks || ['basic'];
-        const availableSpices = activeSpicePacks.map(pack => spicePackDefinitions[pack]).filter(Boolean).join(', ');
-        
-        const simplePrompt = `Create a ${cuisine || 'delicious'} recipe.
-        
-        MAIN INGREDIENTS PROVIDED: ${ingredients.join(', ')}
-        
-        ADDITIONAL AVAILABLE INGREDIENTS from pantry/spice packs: ${availableSpices}
-        
-        ${dietary ? `Dietary restriction: ${dietary}.` : ''}
-        
-        RECIPE CREATION RULES:
-        1. You MUST use the main ingredients provided
-        2. You CAN and SHOULD use items from the pantry/spice packs to enhance the recipe
-        3. Create a flavorful, well-seasoned dish using appropriate seasonings and cooking ingredients
-        4. If oils are available, use them for cooking. If vinegars are available, use them for flavor
-        5. DO NOT add ingredients that aren't in either the main list OR the pantry list
-        
-        Return a JSON object with these fields:
-        - title: Recipe name
-        - description: One sentence description
-        - ingredients: Array of ingredient strings in format "amount unit ingredient" (e.g., "2 cups rice", "1 lb beef", "2 tbsp olive oil")
-        - instructions: Array of instruction strings
-        - prepTime: String like "20 minutes"
-        - cookTime: String like "30 minutes"
-        - servings: Number or string
-        - difficulty: "easy", "medium", or "hard"
-        - cuisine: Type of cuisine
-        - nutrition: Object with calories, protein, carbs, fat, fiber
-        
-        IMPORTANT: Each ingredient must be a simple string, NOT an object.`;
-        
-        const stage1Response = await axios.post(
-          `${GEMINI_15_FLASH_URL}?key=${GEMINI_API_KEY}`,
-          {
-            contents: [{
-              parts: [{
-                text: simplePrompt
-              }]
-            }],
-            generationConfig: {
-              temperature: 0.8,
-              topK: 1,
-              topP: 1,
-              maxOutputTokens: 1024,
-            },
-            safetySettings: [
-              {
-                category: "HARM_CATEGORY_HARASSMENT",
-                threshold: "BLOCK_MEDIUM_AND_ABOVE"
-              },
-              {
-                category: "HARM_CATEGORY_HATE_SPEECH",
-                threshold: "BLOCK_MEDIUM_AND_ABOVE"
-              },
-              {
-                category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-                threshold: "BLOCK_MEDIUM_AND_ABOVE"
-              },
-              {
-                category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-                threshold: "BLOCK_MEDIUM_AND_ABOVE"
-              }
-            ]
-          },
-          {
-            headers: {
-              'Content-Type': 'application/json'
-            },
-            timeout: 15000
-          }
-        );
-        
-        let initialRecipe;
-        if (stage1Response.data && stage1Response.data.candidates && stage1Response.data.candidates[0]) {
-          const generatedText = stage1Response.data.candidates[0].content.parts[0].text;
-          try {
-            const cleanedText = generatedText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-            initialRecipe = JSON.parse(cleanedText);
-          } catch (e) {
-            initialRecipe = {
-              title: "Quick Recipe",
-              description: "A delicious dish made with your ingredients",
-              ingredients: ingredients.map(ing => `Some ${ing}`),
-              instructions: ["Prepare and cook ingredients as needed"],
-              prepTime: "30 minutes",
-              cookTime: "30 minutes",
-              servings: "4",
-              difficulty: "medium",
-              cuisine: cuisine || "american",
-              nutrition: {
-                calories: 350,
-                protein: "25g",
-                carbs: "40g",
-                fat: "12g",
-                fiber: "5g"
-              }
-            };
-          }
-        } else {
-          throw new Error('Stage 1 generation failed');
-        }
-        
-        // Stage 2: Review and correct with Gemini 2.0 Flash
-        console.log('Stage 2: Reviewing and correcting with Gemini 2.0 Flash...');
-        
-        const validationPrompt = `Review and fix this recipe. CRITICAL RULES:
-1. Main ingredients that MUST be used: ${ingredients.join(', ')}
-2. Additional pantry ingredients that CAN be used: ${availableSpices}
-3. Remove ANY ingredients not in either list above
-4. Fix unrealistic quantities
-5. Ensure instructions are clear and logical
-6. Add proper measurements to all ingredients
-7. Include nutrition info: calories, protein, carbs, fat, fiber
-8. Ensure all fields are present: title, description, ingredients, instructions, prepTime, cookTime, servings, difficulty, cuisine, nutrition
+// Normalize the dietary parameter (a string like "vegan, gluten-free" or an array)
+// into a list of lowercase dietary tag names. "none" means no restriction.
+function parseDietaryRestrictions(dietary) {
+  if (!dietary) return [];
+  const values = Array.isArray(dietary) ? dietary : String(dietary).split(',');
+  const tags = values
+    .map(value => String(value).toLowerCase().trim())
+    .filter(value => value && value !== 'none');
+  return [...new Set(tags)];
+}
 
-Current recipe:
-${JSON.stringify(initialRecipe, null, 2)}
+// Load the ingredients a device never wants to see (allergies, dislikes)
+async function getDeviceExclusions(deviceId) {
+  if (!deviceId) return [];
+  const result = await pool.query(
+    'SELECT ingredient FROM device_exclusions WHERE device_id = $1 ORDER BY ingredient',
+    [deviceId]
+  );
+  return result.rows.map(row => row.ingredient);
+}
 
-Return ONLY the corrected recipe as a valid JSON object with all required fields.`;
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Search terms for excluded ingredients, regex-escaped so they can go into both JS
+// and Postgres patterns. Terms match whole words with an optional plural ending, so
+// "ham" catches "ham hocks" but not "graham crackers"; singular forms are included
+// so "peanuts" also catches "peanut butter".
+function exclusionTerms(exclusions) {
+  const terms = new Set();
+  exclusions.forEach(exclusion => {
+    const term = exclusion.toLowerCase().trim();
+    if (!term) return;
+    terms.add(escapeRegExp(term));
+    if (term.endsWith('es') && term.length > 4) terms.add(escapeRegExp(term.slice(0, -2)));
+    if (term.endsWith('s') && term.length > 3) terms.add(escapeRegExp(term.slice(0, -1)));
+  });
+  return [...terms];
+}
+
+function mentionsExclusionTerm(text, terms) {
+  return terms.some(term => new RegExp(`(?:^|[^a-z0-9])(?:${term})(?:e?s)?(?:[^a-z0-9]|$)`).test(text));
+}
+
+// SQL condition keeping only recipes with no ingredient mentioning an excluded term.
+// `recipeIdColumn` is the recipe id column of the surrounding query.
+function excludedIngredientsCondition(recipeIdColumn, termsParam) {
+  return `NOT EXISTS (
+          SELECT 1
+          FROM recipe_ingredients exri
+          JOIN ingredients exi ON exri.ingredient_id = exi.id
+          WHERE exri.recipe_id = ${recipeIdColumn}
+            AND LOWER(exi.name) ~ ANY (SELECT '(?:^|[^a-z0-9])(?:' || term || ')(?:e?s)?(?:[^a-z0-9]|$)' FROM unnest($${termsParam}::text[]) AS term)
+        )`;
+}
+
+// Check a generated recipe for excluded ingredients. Returns the offending
+// ingredient lines so they can be reported rather than served.
+function findExclusionViolations(recipe, exclusions) {
+  const terms = exclusionTerms(exclusions);
+  if (terms.length === 0 || !recipe || !Array.isArray(recipe.ingredients)) return [];
+  
+  const violations = [];
+  recipe.ingredients.forEach(ing => {
+    const text = (typeof ing === 'string' ? ing : JSON.stringify(ing)).toLowerCase();
+    const exclusion = exclusions.find(excluded => mentionsExclusionTerm(text, exclusionTerms([excluded])));
+    if (exclusion) {
+      violations.push({ ingredient: typeof ing === 'string' ? ing : text, exclusion });
+    }
+  });
+  return violations;
+}
+
+// Describe exclusion violations as corrections for a regenerated recipe
+function exclusionCorrections(violations) {
+  return violations.map(violation => `"${violation.ingredient}" uses the excluded ingredient ${violation.exclusion}`);
+}
+
+// The excluded ingredients a previous attempt used, for providers that don't read
+// the prompt (fixtures)
+function rejectedIngredients(violations) {
+  return [...new Set(violations.map(violation => violation.exclusion))];
+}
+
+// Prompt rule telling the model which ingredients must never appear
+function exclusionPromptRule(exclusions) {
+  if (exclusions.length === 0) return '';
+  return `NEVER use these ingredients or anything containing them (allergies/dislikes): ${exclusions.join(', ')}`;
+}
+
+// Validate maxTotalMinutes, maxPrepMinutes and difficulty from a request body.
+// `difficulty` is the hardest level the user will accept ("medium" allows easy too).
+function parseMatchConstraints(body) {
+  const constraints = { maxTotalMinutes: null, maxPrepMinutes: null, difficulty: null };
+  
+  for (const field of ['maxTotalMinutes', 'maxPrepMinutes']) {
+    if (body[field] === undefined || body[field] === null) continue;
+    const value = Number(body[field]);
+    if (!Number.isFinite(value) || value <= 0) {
+      return { error: `${field} must be a positive number of minutes` };
+    }
+    constraints[field] = value;
+  }
+  
+  if (body.difficulty !== undefined && body.difficulty !== null) {
+    const difficulty = String(body.difficulty).toLowerCase().trim();
+    if (!DIFFICULTY_LEVELS.includes(difficulty)) {
+      return { error: `difficulty must be one of: ${DIFFICULTY_LEVELS.join(', ')}` };
+    }
+    constraints.difficulty = difficulty;
+  }
+  
+  return { constraints };
+}
+
+function allowedDifficulties(maxDifficulty) {
+  return DIFFICULTY_LEVELS.slice(0, DIFFICULTY_LEVELS.indexOf(maxDifficulty) + 1);
+}
+
+// Hard prompt rules for the time and difficulty limits
+function constraintPromptRules(constraints) {
+  const rules = [];
+  if (constraints.maxTotalMinutes) {
+    rules.push(`Total time (prepTime + cookTime) MUST be at most ${constraints.maxTotalMinutes} minutes`);
+  }
+  if (constraints.maxPrepMinutes) {
+    rules.push(`prepTime MUST be at most ${constraints.maxPrepMinutes} minutes`);
+  }
+  if (constraints.difficulty) {
+    rules.push(`difficulty MUST be ${allowedDifficulties(constraints.difficulty).map(level => `"${level}"`).join(' or ')}`);
+  }
+  return rules;
+}
+
+function correctionPromptRules(corrections) {
+  if (corrections.length === 0) return [];
+  return [`A previous attempt broke these rules, fix them: ${corrections.join('; ')}`];
+}
+
+function numberedRules(rules, firstNumber) {
+  return rules.map((rule, index) => `${firstNumber + index}. ${rule}`).join('\n');
+}
+
+// Check a generated recipe against the time and difficulty limits
+function findConstraintViolations(recipe, constraints) {
+  const violations = [];
+  const prepMinutes = parseTimeToMinutes(recipe.prepTime);
+  const cookMinutes = parseTimeToMinutes(recipe.cookTime);
+  
+  if (constraints.maxTotalMinutes) {
+    if (prepMinutes === null || cookMinutes === null) {
+      violations.push('prepTime and cookTime must both be given');
+    } else if (prepMinutes + cookMinutes > constraints.maxTotalMinutes) {
+      violations.push(`total time is ${prepMinutes + cookMinutes} minutes, limit is ${constraints.maxTotalMinutes}`);
+    }
+  }
+  
+  if (constraints.maxPrepMinutes) {
+    if (prepMinutes === null) {
+      violations.push('prepTime must be given');
+    } else if (prepMinutes > constraints.maxPrepMinutes) {
+      violations.push(`prep time is ${prepMinutes} minutes, limit is ${constraints.maxPrepMinutes}`);
+    }
+  }
+  
+  if (constraints.difficulty) {
+    const difficulty = String(recipe.difficulty || '').toLowerCase().trim();
+    if (!allowedDifficulties(constraints.difficulty).includes(difficulty)) {
+      violations.push(`difficulty is "${recipe.difficulty || 'missing'}", must be ${allowedDifficulties(constraints.difficulty).join(' or ')}`);
+    }
+  }
+  
+  return violations;
+}
+
+// Recipe matching modes: 'exact' needs the same ingredient set, 'partial' ranks by coverage
+const MATCH_MODES = ['exact', 'partial'];
+const DEFAULT_MIN_COVERAGE = 0.5;
+
+// Partial match score weights. Having most of the recipe matters more than
+// using up every fridge item, since missing ingredients mean a shopping trip.
+const RECIPE_COVERAGE_WEIGHT = 0.7;
+const PANTRY_COVERAGE_WEIGHT = 0.3;
+
+// Use-it-up ranking. Ingredients expiring within USE_IT_UP_DAYS are urgent, and a
+// recipe that uses all of the user's expiring stock gains USE_IT_UP_WEIGHT on its score.
+const USE_IT_UP_DAYS = parseInt(process.env.USE_IT_UP_DAYS) || 3;
+const USE_IT_UP_WEIGHT = 0.5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Paginated match results
+const DEFAULT_MATCH_PAGE_SIZE = 5;
+const MAX_MATCH_PAGE_SIZE = 20;
+
+// Final match order: score (coverage plus any use-it-up bonus), then rating, rating
+// count and id. Exact matches all cover everything, so for them rating leads.
+function matchRankKey(candidate) {
+  return {
+    score: parseFloat(candidate.coverage_score) + USE_IT_UP_WEIGHT * (candidate.use_it_up_score || 0),
+    rating: parseFloat(candidate.average_rating) || 0,
+    ratingCount: parseInt(candidate.rating_count) || 0,
+    id: candidate.id
+  };
+}
+
+function compareMatchRank(a, b) {
+  return b.score - a.score || b.rating - a.rating || b.ratingCount - a.ratingCount || a.id - b.id;
+}
+
+// Match cursors are opaque to clients. They hold the rank key of the last recipe on
+// the page, so the next page starts after it even when recipes the client opened in
+// the meantime have dropped out of the list.
+function encodeMatchCursor(candidate) {
+  return Buffer.from(JSON.stringify(matchRankKey(candidate))).toString('base64url');
+}
+
+function decodeMatchCursor(cursor) {
+  try {
+    const key = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    const valid = ['score', 'rating', 'ratingCount'].every(field => Number.isFinite(key[field])) && Number.isInteger(key.id);
+    return valid ? key : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Load ingredients, instructions and nutrition for a set of recipes in one pass
+async function fetchRecipeDetails(recipeIds) {
+  const details = new Map(recipeIds.map(id => [id, { ingredients: [], instructions: [], nutrition: null }]));
+  
+  const ingredientsResult = await pool.query(
+    'SELECT ri.recipe_id, i.name, ri.amount, ri.unit, ri.original_amount, ri.original_unit, ri.preparation FROM recipe_ingredients ri JOIN ingredients i ON ri.ingredient_id = i.id WHERE ri.recipe_id = ANY($1::int[])',
+    [recipeIds]
+  );
+  ingredientsResult.rows.forEach(ing => details.get(ing.recipe_id).ingredients.push(ing));
+  
+  const instructionsResult = await pool.query(
+    'SELECT recipe_id, instruction FROM recipe_instructions WHERE recipe_id = ANY($1::int[]) ORDER BY recipe_id, step_number',
+    [recipeIds]
+  );
+  instructionsResult.rows.forEach(inst => details.get(inst.recipe_id).instructions.push(inst.instruction));
+  
+  const nutritionResult = await pool.query(
+    'SELECT * FROM recipe_nutrition WHERE recipe_id = ANY($1::int[])',
+    [recipeIds]
+  );
+  nutritionResult.rows.forEach(nutrition => {
+    details.get(nutrition.recipe_id).nutrition = nutrition;
+  });
+  
+  return details;
+}
+
+// A stored ingredient's amount and unit as the recipe was entered. Rows that predate
+// the original_* columns and were never normalized still hold what was entered.
+function enteredQuantity(ing) {
+  if (ing.original_unit === null || ing.original_unit === undefined) return ing;
+  return { ...ing, amount: ing.original_amount, unit: ing.original_unit };
+}
+
+// Columns to store for a parsed ingredient line: the amount in canonical units and the
+// amount as entered. "1 (14 oz) can tomatoes" is stored as 14 oz of tomatoes, with
+// "(14 oz) can" kept as the entered unit. Lines without an amount store none.
+function storedQuantity(parsed) {
+  if (parsed.amount === null) {
+    return { amount: null, unit: null, originalAmount: null, originalUnit: null };
+  }
+  
+  const { packageSize } = parsed;
+  if (!packageSize) {
+    return { ...normalizeQuantity(parsed.amount, parsed.unit), originalAmount: String(parsed.amount), originalUnit: parsed.unit };
+  }
+  const container = parsed.unit === 'unit' ? '' : ` ${parsed.unit}`;
+  return {
+    ...normalizeQuantity(parsed.amount * packageSize.amount, packageSize.unit),
+    originalAmount: String(parsed.amount),
+    originalUnit: `(${packageSize.amount} ${packageSize.unit})${container}`
+  };
+}
+
+// Record that a device has opened a recipe so it is excluded from future matches.
+// Seeing a recipe again restarts its re-show cool-down. Generated recipes keep their
+// views in generated_recipe_views (see viewsTable).
+async function recordRecipeView(recipeId, deviceId, table = 'recipe_views') {
+  const viewResult = await pool.query(
+    `INSERT INTO ${table} (recipe_id, device_id) VALUES ($1, $2)
+     ON CONFLICT (recipe_id, device_id) DO UPDATE SET viewed_at = CURRENT_TIMESTAMP
+     RETURNING (xmax = 0) AS inserted`,
+    [recipeId, deviceId]
+  );
+  
+  const inserted = viewResult.rows[0].inserted;
+  if (inserted) {
+    console.log(`✓ Recorded new view: device ${deviceId} viewed recipe ${recipeId}`);
+  } else {
+    console.log(`ℹ View already exists: device ${deviceId} viewed recipe ${recipeId} again`);
+  }
+  
+  return inserted;
+}
+
+// Recipes a device should not be shown
+async function getHiddenRecipeIds(deviceId) {
+  const result = await pool.query(
+    `SELECT DISTINCT rv.recipe_id
+     FROM recipe_views rv
+     LEFT JOIN device_view_resets dvr ON dvr.device_id = rv.device_id
+     WHERE rv.device_id = $1
+       AND ${hiddenViewCondition(2, 3)}`,
+    [deviceId, RESHOW_AFTER_DAYS, RESHOW_MIN_RATING]
+  );
+  return result.rows.map(row => row.recipe_id);
+}
+
+// AI-generated recipes get IDs like "gen-0b6f...". Bump a prompt version whenever its
+// prompt text changes, so ratings can be compared between versions.
+const GENERATED_RECIPE_ID_PATTERN = /^gen-[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const MATCH_PROMPT_VERSION = 'match-v1';
+const GENERATE_PROMPT_VERSION = 'generate-v1';
+
+// Stage a generated recipe with its provenance and return its new ID
+async function storeGeneratedRecipe({ recipe, source, promptVersion, inputs, reviewed, deviceId }) {
+  const id = `gen-${crypto.randomUUID()}`;
+  await pool.query(
+    `INSERT INTO generated_recipes (
+      id, title, recipe, source, provider, generate_model, review_model, prompt_version, inputs, device_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+    [
+      id,
+      recipe.title,
+      recipe,
+      source,
+      llm.name,
+      llm.models.generate,
+      reviewed ? llm.models.review : null,
+      promptVersion,
+      inputs,
+      deviceId || null
+    ]
+  );
+  return id;
+}
+
+// The generated recipe to send a client, with its server ID in place of any id the
+// model made up. When staging fails the recipe is still served, but with no id and
+// stored: false, as before generated recipes were staged, so clients keep its
+// rating locally.
+async function stageGeneratedRecipe(recipe, provenance) {
+  const { id: modelId, ...fields } = recipe;
+  try {
+    const id = await storeGeneratedRecipe({ recipe: fields, ...provenance });
+    return { ...fields, id, stored: true };
+  } catch (storeError) {
+    console.error('Failed to store generated recipe:', storeError.message);
+    return { ...fields, stored: false };
+  }
+}
+
+// Where a client's recipe ID lives: { type: 'database', id } for numeric IDs and
+// generated recipes that have been promoted, { type: 'generated', id } for the rest.
+// Null for IDs the server never issued (older apps made up their own for AI recipes).
+async function resolveRecipeId(recipeId) {
+  const text = String(recipeId);
+  if (/^\d+$/.test(text)) return { type: 'database', id: parseInt(text) };
+  if (!GENERATED_RECIPE_ID_PATTERN.test(text)) return null;
+  
+  const result = await pool.query('SELECT promoted_recipe_id FROM generated_recipes WHERE id = $1', [text]);
+  if (result.rows.length === 0) return null;
+  const promotedId = result.rows[0].promoted_recipe_id;
+  return promotedId ? { type: 'database', id: promotedId } : { type: 'generated', id: text };
+}
+
+function viewsTable(target) {
+  return target.type === 'generated' ? 'generated_recipe_views' : 'recipe_views';
+}
+
+// Save a device's rating of a generated recipe and refresh the recipe's average
+async function rateGeneratedRecipe(recipeId, deviceId, rating) {
+  const result = await pool.query(
+    `INSERT INTO generated_recipe_views (recipe_id, device_id, rating)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (recipe_id, device_id)
+     DO UPDATE SET rating = $3, viewed_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [recipeId, deviceId, rating]
+  );
+  await pool.query(
+    `UPDATE generated_recipes SET
+       rating_count = (SELECT COUNT(*) FROM generated_recipe_views WHERE recipe_id = $1 AND rating IS NOT NULL),
+       average_rating = (SELECT AVG(rating) FROM generated_recipe_views WHERE recipe_id = $1 AND rating IS NOT NULL)
+     WHERE id = $1`,
+    [recipeId]
+  );
+  return result.rows[0];
+}
+
+// Link a generated recipe to the database recipe it was saved as and carry over the
+// ratings, views and "not interested" flags devices gave it
+async function promoteGeneratedRecipe(generatedId, recipeId) {
+  await pool.query(
+    'UPDATE generated_recipes SET promoted_recipe_id = $1, promoted_at = CURRENT_TIMESTAMP WHERE id = $2',
+    [recipeId, generatedId]
+  );
+  const copied = await pool.query(
+    `INSERT INTO recipe_views (recipe_id, device_id, rating, not_interested, viewed_at)
+     SELECT $1, device_id, rating, not_interested, viewed_at FROM generated_recipe_views WHERE recipe_id = $2
+     ON CONFLICT (recipe_id, device_id) DO NOTHING`,
+    [recipeId, generatedId]
+  );
+  await pool.query(
+    `UPDATE recipes SET rating_count = stats.total, average_rating = stats.average
+     FROM (
+       SELECT COUNT(*) as total, AVG(rating) as average
+       FROM recipe_views WHERE recipe_id = $1 AND rating IS NOT NULL
+     ) stats
+     WHERE id = $1 AND stats.total > 0`,
+    [recipeId]
+  );
+  console.log(`Promoted generated recipe ${generatedId} to recipe ${recipeId} (${copied.rowCount} views carried over)`);
+}
+
+// Root route
+app.get('/', (req, res) => {
+  res.json({ 
+    service: 'FridgePodge Recipe API',
+    version: '1.2.0',
+    status: 'running',
+    endpoints: {
+      health: '/health',
+      generationHealth: '/generation-health',
+      recipeMatch: 'POST /api/recipes/match',
+      explainMatch: 'POST /api/recipes/match/explain (internal)',
+      saveFavorite: 'POST /api/recipes/save-favorite',
+      popular: 'GET /api/recipes/popular',
+      mostSaved: 'GET /api/recipes/most-saved',
+      recipeById: 'GET /api/recipes/:id',
+      rateRecipe: 'POST /api/recipes/:id/rate',
+      recordView: 'POST /api/recipes/:id/view',
+      notInterested: 'POST /api/recipes/:id/not-interested',
+      resetViews: 'POST /api/recipe-views/reset',
+      listExclusions: 'GET /api/exclusions/:deviceId',
+      setExclusions: 'POST /api/exclusions',
+      substitutes: 'GET /api/ingredients/:name/substitutes',
+      spicePacks: 'GET /api/spice-packs'
+    }
+  });
+});
+
+// Health check
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+});
+
+// Generation health: provider, stage models, circuit breaker state and per-stage
+// latency/outcome counts
+app.get('/generation-health', (req, res) => {
+  res.json({ provider: llm.name, configured: llm.configured, models: llm.models, ...llm.metrics() });
+});
+
+// Database health check
+app.get('/db-health', async (req, res) => {
+  try {
+    const result = await pool.query('SELECT NOW() as time, COUNT(*) as tables FROM information_schema.tables WHERE table_schema = \'public\'');
+    res.json({ 
+      status: 'connected',
+      time: result.rows[0].time,
+      tables: result.rows[0].tables,
+      url_length: DATABASE_URL.length,
+      url_preview: DATABASE_URL.substring(0, 30) + '...' + DATABASE_URL.substring(DATABASE_URL.length - 30)
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      status: 'error',
+      message: error.message,
+      hostname: error.hostname || 'unknown',
+      env_set: !!process.env.DATABASE_URL,
+      using_fallback: !process.env.DATABASE_URL || process.env.DATABASE_URL.includes('dpg-d1dgr1umcj7s73f9019')
+    });
+  }
+});
+
+const MAX_MATCH_CANDIDATES = 200;
+
+async function invalidateMatchCacheForRecipe(recipeId) {
+  try {
+    const result = await pool.query(
+      'SELECT DISTINCT LOWER(i.name) as name FROM recipe_ingredients ri JOIN ingredients i ON ri.ingredient_id = i.id WHERE ri.recipe_id = $1',
+      [recipeId]
+    );
+    await matchCandidateCache.invalidate(result.rows.map(row => row.name));
+  } catch (error) {
+    // Cached entries still expire with the cache TTL
+    console.error('Failed to invalidate match cache for recipe', recipeId, error.message);
+  }
+}
+
+// Conditions leaving out recipes the device has seen (V6.7) or submitted and recipes
+// using its excluded ingredients. Pushes their parameters onto `queryParams`.
+function deviceRecipeConditions(queryParams, deviceId, excludedIngredients) {
+  const conditions = [];
+  
+  // Anti-join against the device's view history
+  if (deviceId) {
+    queryParams.push(deviceId, RESHOW_AFTER_DAYS, RESHOW_MIN_RATING);
+    const deviceParam = queryParams.length - 2;
+    conditions.push(`NOT EXISTS (
+          SELECT 1
+          FROM recipe_views rv
+          LEFT JOIN device_view_resets dvr ON dvr.device_id = rv.device_id
+          WHERE rv.recipe_id = r.id
+            AND rv.device_id = $${deviceParam}
+            AND ${hiddenViewCondition(deviceParam + 1, deviceParam + 2)}
+        )`);
+    conditions.push(`r.submitted_by IS DISTINCT FROM $${deviceParam}`);
+  }
+  
+  const terms = exclusionTerms(excludedIngredients);
+  if (terms.length > 0) {
+    queryParams.push(terms);
+    conditions.push(excludedIngredientsCondition('r.id', queryParams.length));
+  }
+  return conditions;
+}
+
+// Rank every recipe matching the ingredient set and filters. Exact mode (V7.5) only
+// returns recipes whose ingredient set is identical to the user's; partial mode
+// ranks recipes by coverage instead. With a deviceId, what the device can't see is
+// left out before the MAX_MATCH_CANDIDATES cut, so a long view history never
+// empties the list.
+async function findMatchCandidates({ matchMode, minCoverage, userIngredients, ingredientCoverage, coveredIngredients, packIngredients, cuisine, dietaryTags, constraints, deviceId, excludedIngredients = [] }) {
+  // Which user ingredient covers which recipe ingredient, as two parallel arrays
+  const coveragePairs = userIngredients.flatMap(user => ingredientCoverage[user].map(recipeName => [recipeName, user]));
+  const queryParams = [
+    coveredIngredients,
+    packIngredients,
+    coveragePairs.map(pair => pair[0]),
+    coveragePairs.map(pair => pair[1])
+  ];
+  
+  // Both conditions can use the GIN index on ingredient_signature: a recipe must share
+  // an ingredient with the fridge, and in exact mode use nothing beyond fridge and packs
+  const recipeConditions = ['r.ingredient_signature && $1::text[]'];
+  if (matchMode === 'exact') {
+    recipeConditions.push('r.ingredient_signature <@ ($1::text[] || $2::text[])');
+  }
+  
+  if (cuisine) {
+    queryParams.push(String(cuisine).trim());
+    recipeConditions.push(`LOWER(r.cuisine) = LOWER($${queryParams.length})`);
+  }
+  
+  // Every requested restriction must be tagged on the recipe. Tags are compared
+  // exactly, so "vegan-adaptable" does not satisfy "vegan".
+  if (dietaryTags.length > 0) {
+    queryParams.push(dietaryTags);
+    const dietaryParam = queryParams.length;
+    recipeConditions.push(`r.id IN (
+          SELECT rdt.recipe_id
+          FROM recipe_dietary_tags rdt
+          JOIN dietary_tags dt ON rdt.dietary_tag_id = dt.id
+          WHERE LOWER(dt.name) = ANY($${dietaryParam}::text[])
+          GROUP BY rdt.recipe_id
+          HAVING COUNT(DISTINCT LOWER(dt.name)) = cardinality($${dietaryParam}::text[])
+        )`);
+  }
+  
+  // A recipe with a missing time can't be shown to fit a time limit, so it's left out
+  if (constraints.maxTotalMinutes) {
+    queryParams.push(constraints.maxTotalMinutes);
+    recipeConditions.push(`r.prep_time IS NOT NULL AND r.cook_time IS NOT NULL AND r.prep_time + r.cook_time <= $${queryParams.length}`);
+  }
+  
+  if (constraints.maxPrepMinutes) {
+    queryParams.push(constraints.maxPrepMinutes);
+    recipeConditions.push(`r.prep_time IS NOT NULL AND r.prep_time <= $${queryParams.length}`);
+  }
+  
+  if (constraints.difficulty) {
+    queryParams.push(allowedDifficulties(constraints.difficulty));
+    recipeConditions.push(`LOWER(COALESCE(r.difficulty, 'medium')) = ANY($${queryParams.length}::text[])`);
+  }
+  
+  recipeConditions.push(...deviceRecipeConditions(queryParams, deviceId, excludedIngredients));
+  
+  const recipeFilter = `WHERE ${recipeConditions.join('\n          AND ')}`;
+  
+  queryParams.push(userIngredients.length);
+  const requestedCountParam = queryParams.length;
+  
+  // recipe_coverage: share of the recipe the user already has (fridge or spice packs)
+  // pantry_coverage: share of the user's fridge ingredients the recipe uses up
+  // matched_ingredients counts recipe ingredients the fridge covers; used_ingredients
+  // counts fridge ingredients the recipe uses (one chicken breast can cover both
+  // the chicken and the chicken thighs in a recipe)
+  const scoreColumns = `,
+          (matched_ingredients + pack_ingredient_count)::float / total_ingredients AS recipe_coverage,
+          used_ingredients::float / $${requestedCountParam}::int AS pantry_coverage,
+          (${RECIPE_COVERAGE_WEIGHT} * (matched_ingredients + pack_ingredient_count)::float / total_ingredients
+            + ${PANTRY_COVERAGE_WEIGHT} * used_ingredients::float / $${requestedCountParam}::int) AS coverage_score`;
+  
+  let matchFilter;
+  let matchOrder;
+  if (matchMode === 'partial') {
+    queryParams.push(minCoverage);
+    const minCoverageParam = queryParams.length;
+    
+    matchFilter = `
+        WHERE matched_ingredients > 0
+          AND (matched_ingredients + pack_ingredient_count)::float / total_ingredients >= $${minCoverageParam}::float`;
+    matchOrder = `coverage_score DESC, average_rating DESC, rating_count DESC, id`;
+  } else {
+    matchFilter = `
+        WHERE matched_ingredients = total_ingredients - pack_ingredient_count
+          AND used_ingredients = $${requestedCountParam}`;
+    matchOrder = `average_rating DESC, rating_count DESC, id`;
+  }
+  
+  queryParams.push(MAX_MATCH_CANDIDATES);
+  const limitParam = queryParams.length;
+  
+  const matchQuery = `
+      WITH recipe_ingredient_sets AS (
+        SELECT 
+          r.id,
+          r.title,
+          r.cuisine,
+          r.servings,
+          r.prep_time,
+          r.cook_time,
+          r.difficulty,
+          r.average_rating,
+          r.rating_count,
+          r.saved_by_count,
+          r.ingredient_signature as all_ingredients,
+          ARRAY(SELECT name FROM unnest(r.ingredient_signature) AS name WHERE name = ANY($1::text[])) as matched_names,
+          ARRAY(SELECT name FROM unnest(r.ingredient_signature) AS name WHERE name = ANY($2::text[])) as pack_ingredients,
+          ARRAY(SELECT name FROM unnest(r.ingredient_signature) AS name WHERE NOT (name = ANY($1::text[]) OR name = ANY($2::text[]))) as missing_ingredients
+        FROM recipes r
+        ${recipeFilter}
+      ),
+      recipe_ingredient_counts AS (
+        SELECT 
+          recipe_ingredient_sets.*,
+          cardinality(all_ingredients) as total_ingredients,
+          cardinality(matched_names) as matched_ingredients,
+          cardinality(pack_ingredients) as pack_ingredient_count
+        FROM recipe_ingredient_sets
+      ),
+      recipe_usage_counts AS (
+        SELECT 
+          recipe_ingredient_counts.*,
+          (
+            SELECT COUNT(DISTINCT coverage.user_name)
+            FROM unnest($3::text[], $4::text[]) AS coverage(recipe_name, user_name)
+            WHERE coverage.recipe_name = ANY(all_ingredients)
+          ) as used_ingredients
+        FROM recipe_ingredient_counts
+      )
+      SELECT *${scoreColumns}
+      FROM recipe_usage_counts
+      ${matchFilter}
+      ORDER BY ${matchOrder}
+      LIMIT $${limitParam};
+    `;
+  
+  const result = await pool.query(matchQuery, queryParams);
+  return result.rows;
+}
+
+// Of the given recipe ids, those the device may be shown (see deviceRecipeConditions)
+async function findVisibleRecipeIds(recipeIds, { deviceId, excludedIngredients = [] }) {
+  if (recipeIds.length === 0) return new Set();
+  
+  const queryParams = [recipeIds];
+  const conditions = ['r.id = ANY($1::int[])', ...deviceRecipeConditions(queryParams, deviceId, excludedIngredients)];
+  const result = await pool.query(
+    `SELECT r.id FROM recipes r WHERE ${conditions.join('\n          AND ')}`,
+    queryParams
+  );
+  return new Set(result.rows.map(row => row.id));
+}
+
+// Device-independent candidates are cached per ingredient/filter key and filtered
+// for each device (see match-cache.js)
+const matchCandidateCache = createMatchCandidateCache({
+  cache,
+  findCandidates: findMatchCandidates,
+  findVisibleIds: findVisibleRecipeIds,
+  maxCandidates: MAX_MATCH_CANDIDATES
+});
+
+// Read one requested ingredient. Plain names ("rice"), strings with a quantity
+// ("2 cups rice") and objects ({ name, amount, unit }) are all accepted; anything
+// else, or a blank name, is an error for `ingredients[index]`.
+function parseRequestedIngredient(ingredient, index) {
+  const field = `ingredients[${index}]`;
+  if (ingredient && typeof ingredient === 'object' && !Array.isArray(ingredient)) {
+    if (typeof ingredient.name !== 'string' || !ingredient.name.trim()) {
+      return { error: `${field}.name must be a non-empty string` };
+    }
+    const amount = parseAmount(ingredient.amount);
+    if (ingredient.amount !== undefined && ingredient.amount !== null && (amount === null || amount <= 0)) {
+      return { error: `Invalid amount for ${ingredient.name}` };
+    }
+    const unit = amount === null ? null : String(ingredient.unit || 'unit');
+    const text = amount === null ? ingredient.name : `${amount} ${unit === 'unit' ? '' : unit} ${ingredient.name}`.replace(/\s+/g, ' ');
+    
+    let expiresAt = null;
+    if (ingredient.expiresAt !== undefined && ingredient.expiresAt !== null) {
+      const expiry = new Date(ingredient.expiresAt);
+      if (isNaN(expiry.getTime())) {
+        return { error: `Invalid expiresAt for ${ingredient.name}` };
+      }
+      expiresAt = expiry.toISOString().slice(0, 10);
+    }
+    return { text, name: ingredient.name, amount, unit, expiresAt };
+  }
+  
+  if (typeof ingredient !== 'string' || !ingredient.trim()) {
+    return { error: `${field} must be a non-empty string or an object with a name` };
+  }
+  const text = ingredient.trim();
+  const parsed = parseIngredient(text);
+  return { text, name: parsed.name, amount: parsed.amount, unit: parsed.unit, expiresAt: null };
+}
+
+// Whole days from today until an ISO date; negative once it has passed
+function daysUntil(isoDate) {
+  const today = new Date().toISOString().slice(0, 10);
+  return Math.round((Date.parse(isoDate) - Date.parse(today)) / DAY_MS);
+}
+
+// Soonest expiry per resolved ingredient name
+function collectExpiries(interpretations) {
+  const expiries = {};
+  for (const { name, expiresAt, daysLeft } of interpretations) {
+    if (expiresAt === undefined) continue;
+    if (!expiries[name] || daysLeft < expiries[name].daysLeft) {
+      expiries[name] = { expiresAt, daysLeft };
+    }
+  }
+  return expiries;
+}
+
+// 1 for anything expiring today or already past, falling off over the following days
+function expiryUrgency(daysLeft) {
+  return daysLeft <= 0 ? 1 : 1 / (1 + daysLeft);
+}
+
+// The user's ingredients a recipe uses, given the recipe's ingredient names
+function usedUserIngredients(recipeIngredientNames, ingredientCoverage) {
+  return Object.keys(ingredientCoverage).filter(user =>
+    ingredientCoverage[user].some(covered => recipeIngredientNames.includes(covered))
+  );
+}
+
+// Move recipes that use up soon-to-expire ingredients up the list and put the
+// candidates in final match order (see matchRankKey). Runs after the cache lookup
+// because expiry dates are per request and change every day.
+function rankByExpiry(candidates, expiries, ingredientCoverage) {
+  const urgencies = Object.fromEntries(
+    Object.entries(expiries).map(([name, { daysLeft }]) => [name, expiryUrgency(daysLeft)])
+  );
+  const totalUrgency = Object.values(urgencies).reduce((sum, urgency) => sum + urgency, 0);
+  
+  const scored = totalUrgency === 0 ? candidates : candidates.map(candidate => {
+    const used = usedUserIngredients(candidate.all_ingredients || [], ingredientCoverage);
+    const useItUpScore = used.reduce((sum, name) => sum + (urgencies[name] || 0), 0) / totalUrgency;
+    return { ...candidate, use_it_up_score: useItUpScore };
+  });
+  return [...scored].sort((a, b) => compareMatchRank(matchRankKey(a), matchRankKey(b)));
+}
+
+// Which urgent ingredients a recipe uses and which it leaves in the fridge.
+// Null when the user gave no expiry dates.
+function usesUpSummary(usedNames, expiries) {
+  if (Object.keys(expiries).length === 0) return null;
+  
+  const urgent = Object.entries(expiries)
+    .filter(([, { daysLeft }]) => daysLeft <= USE_IT_UP_DAYS)
+    .sort((a, b) => a[1].daysLeft - b[1].daysLeft)
+    .map(([name, { expiresAt, daysLeft }]) => ({ name, expiresAt, daysLeft }));
+  return {
+    used: urgent.filter(item => usedNames.includes(item.name)),
+    notUsed: urgent.filter(item => !usedNames.includes(item.name))
+  };
+}
+
+// Generated recipes are free text, so look for the ingredient (or anything it
+// covers) in the ingredient lines
+function generatedRecipeUses(recipe, ingredientCoverage) {
+  const lines = (Array.isArray(recipe.ingredients) ? recipe.ingredients : [])
+    .map(ing => (typeof ing === 'string' ? ing : JSON.stringify(ing)).toLowerCase());
+  return Object.keys(ingredientCoverage).filter(user =>
+    ingredientCoverage[user].some(covered => lines.some(line => line.includes(covered)))
+  );
+}
+
+// Prompt rule putting the soonest-expiring ingredients at the centre of the recipe
+function expiryPromptRule(expiries) {
+  const urgent = Object.entries(expiries)
+    .filter(([, { daysLeft }]) => daysLeft <= USE_IT_UP_DAYS)
+    .sort((a, b) => a[1].daysLeft - b[1].daysLeft)
+    .map(([name, { daysLeft }]) => `${name} (${daysLeft <= 0 ? 'expires today' : `${daysLeft} day${daysLeft === 1 ? '' : 's'} left`})`);
+  if (urgent.length === 0) return null;
+  return `These ingredients are about to expire and MUST be the focus of the recipe: ${urgent.join(', ')}`;
+}
+
+// Amounts the user has on hand, keyed by resolved ingredient name. The same
+// ingredient given twice is added up when the units can be converted.
+function collectUserQuantities(interpretations) {
+  const quantities = {};
+  for (const { name, amount, unit } of interpretations) {
+    if (amount === undefined) continue;
+    const existing = quantities[name];
+    const converted = existing ? convertAmount(amount, unit, existing.unit, name) : null;
+    if (!existing) {
+      quantities[name] = { amount, unit };
+    } else if (converted !== null) {
+      existing.amount += converted;
+    }
+  }
+  return quantities;
+}
+
+// Validate and normalize a match request body (shared by /api/recipes/match and
+// /api/recipes/match/explain). Returns { error } when the input is invalid.
+async function resolveMatchRequest(body) {
+  const { dietary, cuisine, spicePacks, deviceId, mode } = body;
+  
+  if (!body.ingredients || !Array.isArray(body.ingredients) || body.ingredients.length === 0) {
+    return { error: 'Ingredients array required' };
+  }
+  
+  const requested = body.ingredients.map(parseRequestedIngredient);
+  const invalidIngredient = requested.find(ingredient => ingredient.error);
+  if (invalidIngredient) {
+    return { error: invalidIngredient.error };
+  }
+  const ingredients = requested.map(ingredient => ingredient.text);
+
+  const matchMode = mode || 'exact';
+  if (!MATCH_MODES.includes(matchMode)) {
+    return { error: `Mode must be one of: ${MATCH_MODES.join(', ')}` };
+  }
+  
+  const dietaryTags = parseDietaryRestrictions(dietary);
+  
+  const minCoverage = body.minCoverage === undefined ? DEFAULT_MIN_COVERAGE : Number(body.minCoverage);
+  if (isNaN(minCoverage) || minCoverage < 0 || minCoverage > 1) {
+    return { error: 'minCoverage must be a number between 0 and 1' };
+  }
+  
+  const { constraints, error: constraintError } = parseMatchConstraints(body);
+  if (constraintError) {
+    return { error: constraintError };
+  }
+
+  // Extract core ingredients from user input, correcting typos where we can.
+  // "any poultry" asks for anything in that part of the taxonomy.
+  const lexicon = await getIngredientLexicon();
+  const taxonomy = await getIngredientTaxonomy();
+  const interpretations = requested.map(ingredient => {
+    const anyOf = /^any\s+\S/i.test(ingredient.name);
+    const name = anyOf ? ingredient.name.replace(/^any\s+/i, '') : ingredient.name;
+    const interpretation = { ...interpretIngredient(name, lexicon), input: ingredient.text };
+    if (anyOf) {
+      interpretation.anyOf = true;
+    }
+    if (ingredient.expiresAt) {
+      interpretation.expiresAt = ingredient.expiresAt;
+      interpretation.daysLeft = daysUntil(ingredient.expiresAt);
+    }
+    if (ingredient.amount !== null) {
+      interpretation.amount = ingredient.amount;
+      interpretation.unit = ingredient.unit;
+    }
+    return interpretation;
+  });
+  
+  interpretations
+    .filter(interpretation => interpretation.method === 'fuzzy')
+    .forEach(interpretation => console.log(`Interpreted "${interpretation.input}" as "${interpretation.name}" (${interpretation.confidence})`));
+
+  const userIngredients = [...new Set(interpretations.map(interpretation => interpretation.name))];
+  const userQuantities = collectUserQuantities(interpretations);
+  const expiries = collectExpiries(interpretations);
+  
+  // Recipe ingredients each of the user's ingredients can stand in for
+  const ingredientCoverage = {};
+  for (const interpretation of interpretations) {
+    const covered = ingredientCoverage[interpretation.name] || [];
+    ingredientCoverage[interpretation.name] = [...new Set([
+      ...covered,
+      ...coverageFor(taxonomy, interpretation.name, interpretation.anyOf)
+    ])];
+  }
+  const coveredIngredients = [...new Set(Object.values(ingredientCoverage).flat())];
+  
+  // Spice pack items count as pantry staples: a recipe needing them is not
+  // penalised for it, and they don't have to be used up like fridge items
+  const activeSpicePacks = await resolveSpicePacks(spicePacks, deviceId);
+  const availableSpiceItems = [...new Set(activeSpicePacks.flatMap(pack => pack.items))];
+  const packIngredients = [...new Set(availableSpiceItems.map(item => normalizeIngredient(item, lexicon)))]
+    .filter(item => !coveredIngredients.includes(item));
+  
+  return {
+    ingredients,
+    cuisine,
+    deviceId,
+    dietaryTags,
+    matchMode,
+    minCoverage,
+    constraints,
+    interpretations,
+    userIngredients,
+    userQuantities,
+    expiries,
+    ingredientCoverage,
+    coveredIngredients,
+    availableSpiceItems,
+    packIngredients
+  };
+}
+
+// Repair requests allowed per generation stage before giving up on the recipe
+const MAX_RECIPE_REPAIRS = process.env.MAX_RECIPE_REPAIRS === undefined ? 2 : parseInt(process.env.MAX_RECIPE_REPAIRS) || 0;
+
+function recipeRepairPrompt(output, errors) {
+  return `This recipe output has problems. Fix ONLY these problems and keep everything else the same:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Required fields: title, description, ingredients (array of strings like "2 cups rice"), instructions (array of strings), prepTime and cookTime (like "20 minutes"), servings (whole number), difficulty ("easy", "medium" or "hard"), cuisine, nutrition (object with calories as a number and protein, carbs, fat, fiber in grams like "25g").
+
+Current output:
+${typeof output === 'string' ? output : JSON.stringify(output, null, 2)}
+
+Return ONLY the corrected recipe as a valid JSON object.`;
+}
+
+// Run one generation stage and make sure it returns a valid recipe. Output that isn't
+// JSON or breaks the recipe schema goes back to the model with the problems listed;
+// once MAX_RECIPE_REPAIRS repairs have failed a RecipeValidationError is thrown.
+// `deadline` is the request's generation deadline from requestDeadline().
+async function generateValidRecipe(stage, { prompt, recipe, inputs, deadline }) {
+  const attempt = async (run) => {
+    try {
+      const output = await run();
+      return { output, errors: validateRecipe(output) };
+    } catch (error) {
+      if (!isProviderError(error) || error.code !== 'invalid-json') throw error;
+      return { output: error.text, errors: ['the output is not valid JSON'] };
+    }
+  };
+  
+  let { output, errors } = await attempt(() => llm[stage]({ prompt, recipe, inputs, deadline }));
+  for (let repair = 1; errors.length > 0 && repair <= MAX_RECIPE_REPAIRS; repair++) {
+    console.log(`${stage} output failed validation, repair ${repair}/${MAX_RECIPE_REPAIRS}:`, errors);
+    const failed = { output, errors };
+    ({ output, errors } = await attempt(() => llm.repair({ prompt: recipeRepairPrompt(failed.output, failed.errors), recipe: failed.output, errors: failed.errors, inputs, deadline })));
+  }
+  
+  if (errors.length > 0) throw new RecipeValidationError(errors);
+  return output;
+}
+
+// Generate a recipe for the match fallback with the two-stage generate/review process.
+// `corrections` lists problems with a previous attempt that the model must fix, and
+// `rejected` the excluded ingredients it used. `reviewed` is false when the review stage failed and the stage 1 recipe is returned.
+async function generateMatchRecipe({ ingredients, cuisine, dietaryTags, availableSpices, excludedIngredients, constraints, expiries, deviceId, deadline, corrections = [], rejected = [] }) {
+  // Extra hard rules on top of the base prompt rules
+  const creationRules = [
+    excludedIngredients.length > 0 ? exclusionPromptRule(excludedIngredients) : null,
+    expiryPromptRule(expiries),
+    ...constraintPromptRules(constraints),
+    ...correctionPromptRules(corrections)
+  ].filter(Boolean);
+  const reviewRules = [
+    dietaryTags.length > 0 ? `The recipe MUST satisfy these dietary restrictions: ${dietaryTags.join(', ')}` : null,
+    ...creationRules
+  ].filter(Boolean);
+  
+  // The structured request, for providers that don't read the prompt (fixtures)
+  const providerInputs = { ingredients, cuisine, dietaryTags, availableSpices, excludedIngredients, constraints, expiries, rejected };
+  
+  // Stage 1: Generate initial recipe
+  console.log(`Stage 1: Generating initial recipe with ${llm.name} (${llm.models.generate})...`);
+  
+  const simplePrompt = `Create a ${cuisine || 'delicious'} recipe.
+  
+  MAIN INGREDIENTS PROVIDED: ${ingredients.join(', ')}
+  
+  ADDITIONAL AVAILABLE INGREDIENTS from pantry/spice packs: ${availableSpices}
+  
+  ${dietaryTags.length > 0 ? `Dietary restrictions (ALL must be followed): ${dietaryTags.join(', ')}.` : ''}
+  
+  RECIPE CREATION RULES:
+  1. You MUST use the main ingredients provided
+  2. You CAN and SHOULD use items from the pantry/spice packs to enhance the recipe
+  3. Create a flavorful, well-seasoned dish using appropriate seasonings and cooking ingredients
+  4. If oils are available, use them for cooking. If vinegars are available, use them for flavor
+  5. DO NOT add ingredients that aren't in either the main list OR the pantry list
+  ${numberedRules(creationRules, 6)}
+  
+  Return a JSON object with these fields:
+  - title: Recipe name
+  - description: One sentence description
+  - ingredients: Array of ingredient strings in format "amount unit ingredient" (e.g., "2 cups rice", "1 lb beef", "2 tbsp olive oil")
+  - instructions: Array of instruction strings
+  - prepTime: String like "20 minutes"
+  - cookTime: String like "30 minutes"
+  - servings: Number or string
+  - difficulty: "easy", "medium", or "hard"
+  - cuisine: Type of cuisine
+  - nutrition: Object with calories, protein, carbs, fat, fiber
+  
+  IMPORTANT: Each ingredient must be a simple string, NOT an object.`;
+  
+  const initialRecipe = await generateValidRecipe('generate', { prompt: simplePrompt, inputs: providerInputs, deadline });
+  
+  // Stage 2: Review and correct
+  console.log(`Stage 2: Reviewing and correcting with ${llm.name} (${llm.models.review})...`);
+  
+  const validationPrompt = `Review and fix this recipe. CRITICAL RULES:
+1. Main ingredients that MUST be used: ${ingredients.join(', ')}
+2. Additional pantry ingredients that CAN be used: ${availableSpices}
+3. Remove ANY ingredients not in either list above
+4. Fix unrealistic quantities
+5. Ensure instructions are clear and logical
+6. Add proper measurements to all ingredients
+7. Include nutrition info: calories, protein, carbs, fat, fiber
+8. Ensure all fields are present: title, description, ingredients, instructions, prepTime, cookTime, servings, difficulty, cuisine, nutrition
+${numberedRules(reviewRules, 9)}
+
+Current recipe:
+${JSON.stringify(initialRecipe, null, 2)}
+
+Return ONLY the corrected recipe as a valid JSON object with all required fields.`;
+  
+  // A failed review is not fatal: the validated stage 1 recipe is still usable
+  try {
+    const reviewedRecipe = await generateValidRecipe('review', { prompt: validationPrompt, recipe: initialRecipe, inputs: providerInputs, deadline });
+    console.log(`Recipe generated successfully with 2-stage process for device: ${deviceId}`);
+    return { recipe: reviewedRecipe, reviewed: true };
+  } catch (reviewError) {
+    if (!isProviderError(reviewError) && !(reviewError instanceof RecipeValidationError)) throw reviewError;
+    console.error('Stage 2 failed, using stage 1 result:', reviewError.message);
+    return { recipe: initialRecipe, reviewed: false };
+  }
+}
+
+// Recipe matching endpoint
+app.post('/api/recipes/match', async (req, res) => {
+  try {
+    const matchRequest = await resolveMatchRequest(req.body);
+    if (matchRequest.error) {
+      return res.status(400).json({ error: matchRequest.error });
+    }
+    
+    const {
+      ingredients, cuisine, deviceId, dietaryTags, matchMode, minCoverage, constraints,
+      interpretations, userIngredients, userQuantities, expiries, ingredientCoverage, coveredIngredients,
+      availableSpiceItems, packIngredients
+    } = matchRequest;
+
+    // Clients that send limit or cursor get a ranked page of results; older clients
+    // get the single best recipe, which counts as viewed immediately.
+    const paginated = req.body.limit !== undefined || req.body.cursor !== undefined;
+    const pageSize = req.body.limit === undefined ? (paginated ? DEFAULT_MATCH_PAGE_SIZE : 1) : parseInt(req.body.limit);
+    if (isNaN(pageSize) || pageSize < 1 || pageSize > MAX_MATCH_PAGE_SIZE) {
+      return res.status(400).json({ error: `limit must be between 1 and ${MAX_MATCH_PAGE_SIZE}` });
+    }
+    
+    const after = req.body.cursor === undefined ? null : decodeMatchCursor(req.body.cursor);
+    if (req.body.cursor !== undefined && after === null) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    
+    // Ingredients this device never wants to see
+    const excludedIngredients = await getDeviceExclusions(deviceId);
+    
+    const matchCriteria = {
+      matchMode, minCoverage, userIngredients, ingredientCoverage, coveredIngredients,
+      packIngredients, cuisine, dietaryTags, constraints, deviceId, excludedIngredients
+    };
+    if (matchMode === 'partial') {
+      console.log(`Looking for recipes covering at least ${Math.round(minCoverage * 100)}% of: ${userIngredients.join(', ')}`);
+    } else {
+      console.log(`V7.5: Looking for recipes with EXACT ingredients: ${userIngredients.join(', ')}`);
+    }
+    
+    // Ranked candidates still to come after the cursor
+    const rowsAfterCursor = rows => {
+      const ranked = rankByExpiry(rows, expiries, ingredientCoverage);
+      return after ? ranked.filter(row => compareMatchRank(matchRankKey(row), after) > 0) : ranked;
+    };
+    
+    // One more than the page shows whether there is a next page
+    const { candidates, cacheKey, fromCache } = await matchCandidateCache.candidatesFor(
+      matchCriteria,
+      rows => rowsAfterCursor(rows).length > pageSize
+    );
+    if (fromCache) {
+      console.log('Cache hit:', cacheKey);
+    }
+    
+    const remainingRows = rowsAfterCursor(candidates);
+    const hasMore = remainingRows.length > pageSize;
+    const matchedRows = remainingRows.slice(0, pageSize);
+
+    // Running off the end of a result list is not a reason to generate a new recipe
+    if (matchedRows.length === 0 && after) {
+      return res.json({ found: false, recipes: [], nextCursor: null, fromDatabase: true, mode: matchMode, interpretations });
+    }
+
+    if (matchedRows.length === 0) {
+      console.log(`No ${matchMode} match found for [${userIngredients.join(', ')}] for device ${deviceId}`);
+      console.log('Falling back to AI generation...');
+      
+      // Generate recipe using AI when no database match is found
+      try {
+        // Check if the generation provider is configured
+        if (!llm.configured) {
+          console.error(`Recipe generation provider ${llm.name} not configured`);
+          return res.status(500).json({ error: 'Recipe generation service not configured' });
+        }
         
-        const stage2Response = await axios.post(
-          `${GEMINI_20_FLASH_URL}?key=${GEMINI_API_KEY}`,
-          {
-            contents: [{
-              parts: [{
-                text: validationPrompt
-              }]
-            }],
-            generationConfig: {
-              temperature: 0.3,
-              topK: 1,
-              topP: 1,
-              maxOutputTokens: 1024,
-            },
-            safetySettings: [
-              {
-                category: "HARM_CATEGORY_HARASSMENT",
-                threshold: "BLOCK_MEDIUM_AND_ABOVE"
-              },
-              {
-                category: "HARM_CATEGORY_HATE_SPEECH",
-                threshold: "BLOCK_MEDIUM_AND_ABOVE"
-              },
-              {
-                category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-                threshold: "BLOCK_MEDIUM_AND_ABOVE"
-              },
-              {
-                category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-                threshold: "BLOCK_MEDIUM_AND_ABOVE"
-              }
-            ]
-          },
-          {
-            headers: {
-              'Content-Type': 'application/json'
-            },
-            timeout: 15000
-          }
-        );
+        const availableSpices = availableSpiceItems.join(', ');
+        // The deadline covers a regeneration too
+        const generationContext = {
+          ingredients, cuisine, dietaryTags, availableSpices, excludedIngredients, constraints, expiries, deviceId,
+          deadline: requestDeadline()
+        };
+        let generation = await generateMatchRecipe(generationContext);
+        let finalRecipe = generation.recipe;
         
-        let finalRecipe = initialRecipe;
-        if (stage2Response.data && stage2Response.data.candidates && stage2Response.data.candidates[0]) {
-          const correctedText = stage2Response.data.candidates[0].content.parts[0].text;
-          
-          try {
-            const cleanedText = correctedText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-            finalRecipe = JSON.parse(cleanedText);
-            
-            // Ensure nutrition info exists
-            if (!finalRecipe.nutrition) {
-              finalRecipe.nutrition = {
-                calories: 350,
-                protein: "25g",
-                carbs: "40g",
-                fat: "12g",
-                fiber: "5g"
-              };
-            }
-            
-            console.log(`Recipe generated successfully with 2-stage process for device: ${deviceId}`);
-          } catch (parseError) {
-            console.error('Stage 2 parse error, using stage 1 result:', parseError);
-          }
+        // Time and difficulty limits and the device's exclusions are hard rules:
+        // regenerate once if they're broken
+        let constraintViolations = findConstraintViolations(finalRecipe, constraints);
+        let exclusionViolations = findExclusionViolations(finalRecipe, excludedIngredients);
+        if (constraintViolations.length > 0 || exclusionViolations.length > 0) {
+          console.log('Generated recipe broke time/difficulty limits or exclusions, regenerating:', [...constraintViolations, ...exclusionCorrections(exclusionViolations)]);
+          generation = await generateMatchRecipe({
+            ...generationContext,
+            corrections: [...constraintViolations, ...exclusionCorrections(exclusionViolations)],
+            rejected: rejectedIngredients(exclusionViolations)
+          });
+          finalRecipe = generation.recipe;
+          constraintViolations = findConstraintViolations(finalRecipe, constraints);
+          exclusionViolations = findExclusionViolations(finalRecipe, excludedIngredients);
         }
         
-        // Ensure ingredients are properly formatted before sending
-        if (finalRecipe.ingredients && Array.isArray(finalRecipe.ingredients)) {
-          finalRecipe.ingredients = finalRecipe.ingredients.map(ing => {
-            if (typeof ing === 'string') {
-              return ing;
-            } else if (typeof ing === 'object' && ing !== null) {
-              // Extract ingredient parts
-              const amount = ing.amount || ing.quantity || '';
-              const unit = ing.unit || ing.measurement || '';
-              const name = ing.name || ing.ingredient || ing.item || ing.food || '';
-              
-              // If no name found, log error and try to extract from any other property
-              if (!name) {
-                console.error('AI generated ingredient missing name:', ing);
-                // Try to find any string property that might be the name
-                for (const key in ing) {
-                  if (typeof ing[key] === 'string' && !['amount', 'unit', 'quantity', 'measurement'].includes(key)) {
-                    return `${amount} ${unit} ${ing[key]}`.trim();
-                  }
-                }
-                // Last resort: return the whole object as string
-                return JSON.stringify(ing);
-              }
-              
-              return `${amount} ${unit} ${name}`.trim();
-            }
-            return String(ing);
+        if (constraintViolations.length > 0) {
+          console.error(`Regenerated recipe for device ${deviceId} still broke time/difficulty limits:`, constraintViolations);
+          return res.status(502).json({
+            error: 'Could not generate a recipe within your time and difficulty limits. Please try again.',
+            found: false,
+            constraintViolations
           });
         }
         
+        // Never hand back a recipe that breaks the device's exclusions; the model
+        // ignoring its instructions twice is an upstream failure
+        if (exclusionViolations.length > 0) {
+          console.error(`Regenerated recipe for device ${deviceId} still used excluded ingredients:`, exclusionViolations);
+          return res.status(502).json({
+            error: 'Generated recipe contained excluded ingredients. Please try again.',
+            found: false,
+            exclusionViolations
+          });
+        }
+        
+        // Stage the recipe so ratings on its ID reach the server
+        const stagedRecipe = await stageGeneratedRecipe(finalRecipe, {
+          source: 'match-fallback',
+          promptVersion: MATCH_PROMPT_VERSION,
+          inputs: { ingredients, cuisine, dietaryTags, availableSpices, excludedIngredients, constraints, expiries },
+          reviewed: generation.reviewed,
+          deviceId
+        });
+        
         // Return the generated recipe in the same format as database recipes
         return res.json({
           found: true,
-          recipe: finalRecipe,
+          recipe: stagedRecipe,
           fromDatabase: false,
-          source: 'ai-generated'
+          source: 'ai-generated',
+          interpretations,
+          usesUp: usesUpSummary(generatedRecipeUses(finalRecipe, ingredientCoverage), expiries)
         });
         
       } catch (aiError) {
-        console.error('AI generation error:', aiError.response?.data || aiError.message);
-        return res.status(500).json({ 
+        console.error('AI generation error:', aiError.message);
+        // The model not producing a valid recipe is an upstream failure, not a server bug
+        if (aiError instanceof RecipeValidationError) {
+          return res.status(502).json({
+            error: 'Could not generate a complete recipe. Please try again.',
+            found: false,
+            validationErrors: aiError.errors
+          });
+        }
+        if (aiError.code === 'circuit-open') {
+          return res.status(503).json({
+            error: 'Recipe generation is temporarily unavailable. Please try again shortly.',
+            found: false
+          });
+        }
+        if (aiError.code === 'deadline-exceeded') {
+          return res.status(504).json({
+            error: 'Recipe generation took too long. Please try again.',
+            found: false
+          });
+        }
+        return res.status(isProviderError(aiError) ? 502 : 500).json({ 
           error: 'Failed to generate recipe. Please try again.',
           found: false
         });
       }
     }
 
-    const recipe = result.rows[0];
-    console.log(`V7.5: Found EXACT match recipe: "${recipe.title}" (ID: ${recipe.id})`);
-    console.log(`Recipe ingredients: [${recipe.all_ingredients ? recipe.all_ingredients.join(', ') : 'unknown'}]`);
-    console.log(`User ingredients: [${coreIngredients.join(', ')}]`);
+    const topRecipe = matchedRows[0];
+    console.log(`Found ${matchedRows.length} ${matchMode} match(es), best: "${topRecipe.title}" (ID: ${topRecipe.id})`);
+    console.log(`Recipe ingredients: [${topRecipe.all_ingredients ? topRecipe.all_ingredients.join(', ') : 'unknown'}]`);
+    console.log(`User ingredients: [${userIngredients.join(', ')}]`);
     
     // Get full recipe details
-    const ingredientsResult = await pool.query(
-      'SELECT i.name, ri.amount, ri.unit FROM recipe_ingredients ri JOIN ingredients i ON ri.ingredient_id = i.id WHERE ri.recipe_id = $1',
-      [recipe.id]
-    );
-    
-    const instructionsResult = await pool.query(
-      'SELECT instruction FROM recipe_instructions WHERE recipe_id = $1 ORDER BY step_number',
-      [recipe.id]
-    );
-    
-    const nutritionResult = await pool.query(
-      'SELECT * FROM recipe_nutrition WHERE recipe_id = $1',
-      [recipe.id]
-    );
+    const recipeDetails = await fetchRecipeDetails(matchedRows.map(row => row.id));
+    
+    // Partial matches suggest swaps for missing ingredients from what the user already has
+    let substitutions = null;
+    let taxonomy = null;
+    if (matchMode === 'partial') {
+      substitutions = await getIngredientSubstitutions();
+      taxonomy = await getIngredientTaxonomy();
+    }
+    const availableIngredients = [...coveredIngredients, ...packIngredients];
 
-    // Format recipe for response
-    // IMPORTANT: Record view BEFORE sending recipe to prevent duplicates
-    if (deviceId) {
-      try {
-        const viewResult = await pool.query(
-          'INSERT INTO recipe_views (recipe_id, device_id) VALUES ($1, $2) ON CONFLICT DO NOTHING RETURNING id',
-          [recipe.id, deviceId]
-        );
-        
-        if (viewResult.rows.length > 0) {
-          console.log(`✓ Recorded new view: device ${deviceId} viewed recipe ${recipe.id}`);
-        } else {
-          console.log(`ℹ View already exists: device ${deviceId} already viewed recipe ${recipe.id}`);
+    // Legacy single-recipe clients open the result straight away, so record the view
+    // BEFORE sending it to prevent duplicates. Paginated clients report the recipes
+    // they actually open through POST /api/recipes/:id/view.
+    if (!paginated) {
+      if (deviceId) {
+        try {
+          await recordRecipeView(topRecipe.id, deviceId);
+        } catch (viewError) {
+          console.error('Failed to record recipe view:', viewError.message);
+          console.error('Recipe ID:', topRecipe.id, 'Device ID:', deviceId);
+          // Don't fail the request if view tracking fails
         }
-      } catch (viewError) {
-        console.error('Failed to record recipe view:', viewError.message);
-        console.error('Recipe ID:', recipe.id, 'Device ID:', deviceId);
-        // Don't fail the request if view tracking fails
+      } else {
+        console.log('⚠ No device ID provided, view not tracked');
       }
-    } else {
-      console.log('⚠ No device ID provided, view not tracked');
     }
     
-    const formattedRecipe = {
-      id: recipe.id,
-      title: recipe.title,
-      cuisine: recipe.cuisine,
-      servings: recipe.servings,
-      prepTime: `${recipe.prep_time} minutes`,
-      cookTime: `${recipe.cook_time} minutes`,
-      difficulty: recipe.difficulty,
-      rating: recipe.average_rating,
-      ratingCount: recipe.rating_count,
-      savedByCount: recipe.saved_by_count || 0,
-      ingredients: ingredientsResult.rows.map(ing => 
-        `${ing.amount} ${ing.unit} ${ing.name}`.trim()
-      ),
-      instructions: instructionsResult.rows.map(inst => inst.instruction),
-      nutrition: nutritionResult.rows[0] || null
+    // Format recipes for response
+    const formattedRecipes = matchedRows.map(recipe => {
+      const details = recipeDetails.get(recipe.id);
+      return {
+        id: recipe.id,
+        title: recipe.title,
+        cuisine: recipe.cuisine,
+        servings: recipe.servings,
+        prepTime: `${recipe.prep_time} minutes`,
+        cookTime: `${recipe.cook_time} minutes`,
+        difficulty: recipe.difficulty,
+        rating: recipe.average_rating,
+        ratingCount: recipe.rating_count,
+        savedByCount: recipe.saved_by_count || 0,
+        ingredients: details.ingredients.map(ing => formatIngredient(enteredQuantity(ing))),
+        instructions: details.instructions,
+        nutrition: details.nutrition,
+        match: {
+          score: parseFloat(recipe.coverage_score),
+          recipeCoverage: parseFloat(recipe.recipe_coverage),
+          pantryCoverage: parseFloat(recipe.pantry_coverage),
+          matchedCount: parseInt(recipe.matched_ingredients),
+          totalCount: parseInt(recipe.total_ingredients),
+          missingIngredients: recipe.missing_ingredients || [],
+          packIngredients: recipe.pack_ingredients || [],
+          quantities: assessQuantities(details.ingredients, userQuantities, ingredientCoverage),
+          usesUp: usesUpSummary(usedUserIngredients(recipe.all_ingredients || [], ingredientCoverage), expiries),
+          substitutions: substitutions
+            ? availableSubstitutes(recipe.missing_ingredients || [], substitutions, taxonomy, availableIngredients)
+            : []
+        }
+      };
+    });
+    
+    // Build response. `recipe` keeps the single-recipe shape for older clients.
+    const response = {
+      found: true,
+      recipe: formattedRecipes[0],
+      fromDatabase: true,
+      mode: matchMode,
+      interpretations,
+      usesUp: formattedRecipes[0].match.usesUp
     };
+    if (paginated) {
+      response.recipes = formattedRecipes;
+      response.nextCursor = hasMore ? encodeMatchCursor(matchedRows[matchedRows.length - 1]) : null;
+    }
+    
+    res.json(response);
     
-    // Build response
-    const response = { found: true, recipe: formattedRecipe, fromDatabase: true };
+  } catch (error) {
+    console.error('Error matching recipe:', error);
+    res.status(500).json({ error: 'Failed to match recipe' });
+  }
+});
+
+// How many candidates the explain endpoint reports on
+const MAX_EXPLAIN_CANDIDATES = 50;
+
+// Every recipe sharing at least one ingredient with the user, with no filters applied
+async function findExplainCandidates(coveredIngredients) {
+  const result = await pool.query(`
+    SELECT 
+      r.id,
+      r.title,
+      r.cuisine,
+      r.prep_time,
+      r.cook_time,
+      r.difficulty,
+      r.ingredient_signature as all_ingredients,
+      COALESCE((
+        SELECT ARRAY_AGG(DISTINCT LOWER(dt.name))
+        FROM recipe_dietary_tags rdt
+        JOIN dietary_tags dt ON rdt.dietary_tag_id = dt.id
+        WHERE rdt.recipe_id = r.id
+      ), '{}') as dietary_tags
+    FROM recipes r
+    WHERE r.ingredient_signature && $1::text[]
+    ORDER BY cardinality(ARRAY(SELECT name FROM unnest(r.ingredient_signature) AS name WHERE name = ANY($1::text[]))) DESC, r.id
+    LIMIT $2
+  `, [coveredIngredients, MAX_EXPLAIN_CANDIDATES]);
+  return result.rows;
+}
+
+// Explain why a fridge does or doesn't match each nearby recipe: how the ingredients
+// were read, what each recipe is missing, and which filter or history rule removed it
+app.post('/api/recipes/match/explain', requireInternalKey, async (req, res) => {
+  try {
+    const matchRequest = await resolveMatchRequest(req.body);
+    if (matchRequest.error) {
+      return res.status(400).json({ error: matchRequest.error });
+    }
     
-    // Don't cache for now to ensure exclusion works
-    // TODO: Re-enable caching with device-specific keys
-    // cache.set(cacheKey, response);
+    const {
+      cuisine, deviceId, dietaryTags, matchMode, minCoverage, constraints,
+      interpretations, userIngredients, ingredientCoverage, coveredIngredients, packIngredients
+    } = matchRequest;
     
-    res.json(response);
+    const excludedIngredients = await getDeviceExclusions(deviceId);
+    const excludedTerms = exclusionTerms(excludedIngredients);
+    
+    let hiddenIds = new Set();
+    let notInterestedIds = new Set();
+    let submittedIds = new Set();
+    if (deviceId) {
+      hiddenIds = new Set(await getHiddenRecipeIds(deviceId));
+      
+      const notInterested = await pool.query(
+        'SELECT recipe_id FROM recipe_views WHERE device_id = $1 AND not_interested',
+        [deviceId]
+      );
+      notInterestedIds = new Set(notInterested.rows.map(row => row.recipe_id));
+      
+      const submitted = await pool.query('SELECT id FROM recipes WHERE submitted_by = $1', [deviceId]);
+      submittedIds = new Set(submitted.rows.map(row => row.id));
+    }
+    
+    const candidates = (await findExplainCandidates(coveredIngredients)).map(recipe => {
+      const recipeIngredients = recipe.all_ingredients || [];
+      const matchedIngredients = recipeIngredients.filter(name => coveredIngredients.includes(name));
+      const usedPackIngredients = recipeIngredients.filter(name => packIngredients.includes(name));
+      const missingIngredients = recipeIngredients.filter(name => !coveredIngredients.includes(name) && !packIngredients.includes(name));
+      const extraIngredients = userIngredients.filter(name => !ingredientCoverage[name].some(covered => recipeIngredients.includes(covered)));
+      
+      // Same scoring as findMatchCandidates
+      const recipeCoverage = (matchedIngredients.length + usedPackIngredients.length) / recipeIngredients.length;
+      const pantryCoverage = (userIngredients.length - extraIngredients.length) / userIngredients.length;
+      const score = RECIPE_COVERAGE_WEIGHT * recipeCoverage + PANTRY_COVERAGE_WEIGHT * pantryCoverage;
+      
+      const filteredBy = [];
+      if (matchMode === 'partial' && recipeCoverage < minCoverage) {
+        filteredBy.push({ filter: 'coverage', detail: `covers ${Math.round(recipeCoverage * 100)}%, needs ${Math.round(minCoverage * 100)}%` });
+      }
+      if (matchMode === 'exact' && (missingIngredients.length > 0 || extraIngredients.length > 0)) {
+        filteredBy.push({ filter: 'exact', detail: 'ingredient set differs from the fridge' });
+      }
+      if (cuisine && String(recipe.cuisine || '').toLowerCase() !== String(cuisine).trim().toLowerCase()) {
+        filteredBy.push({ filter: 'cuisine', detail: `recipe is ${recipe.cuisine || 'uncategorized'}` });
+      }
+      const missingTags = dietaryTags.filter(tag => !recipe.dietary_tags.includes(tag));
+      if (missingTags.length > 0) {
+        filteredBy.push({ filter: 'dietary', detail: `not tagged ${missingTags.join(', ')}` });
+      }
+      if (constraints.maxTotalMinutes) {
+        if (recipe.prep_time === null || recipe.cook_time === null) {
+          filteredBy.push({ filter: 'maxTotalMinutes', detail: 'total time unknown' });
+        } else if (recipe.prep_time + recipe.cook_time > constraints.maxTotalMinutes) {
+          filteredBy.push({ filter: 'maxTotalMinutes', detail: `takes ${recipe.prep_time + recipe.cook_time} minutes` });
+        }
+      }
+      if (constraints.maxPrepMinutes) {
+        if (recipe.prep_time === null) {
+          filteredBy.push({ filter: 'maxPrepMinutes', detail: 'prep time unknown' });
+        } else if (recipe.prep_time > constraints.maxPrepMinutes) {
+          filteredBy.push({ filter: 'maxPrepMinutes', detail: `prep takes ${recipe.prep_time} minutes` });
+        }
+      }
+      if (constraints.difficulty && !allowedDifficulties(constraints.difficulty).includes(String(recipe.difficulty || 'medium').toLowerCase())) {
+        filteredBy.push({ filter: 'difficulty', detail: `recipe is ${recipe.difficulty}` });
+      }
+      const excludedHits = recipeIngredients.filter(name => mentionsExclusionTerm(name, excludedTerms));
+      if (excludedHits.length > 0) {
+        filteredBy.push({ filter: 'excluded-ingredient', detail: excludedHits.join(', ') });
+      }
+      
+      const excludedBy = [];
+      if (notInterestedIds.has(recipe.id)) {
+        excludedBy.push('not-interested');
+      } else if (hiddenIds.has(recipe.id)) {
+        excludedBy.push('viewed');
+      }
+      if (submittedIds.has(recipe.id)) {
+        excludedBy.push('submitted');
+      }
+      
+      return {
+        id: recipe.id,
+        title: recipe.title,
+        cuisine: recipe.cuisine,
+        dietaryTags: recipe.dietary_tags,
+        matchedIngredients,
+        packIngredients: usedPackIngredients,
+        missingIngredients,
+        extraIngredients,
+        recipeCoverage,
+        pantryCoverage,
+        score,
+        filteredBy,
+        excludedBy,
+        wouldMatch: filteredBy.length === 0 && excludedBy.length === 0
+      };
+    });
     
+    res.json({
+      mode: matchMode,
+      minCoverage: matchMode === 'partial' ? minCoverage : null,
+      constraints,
+      interpretations,
+      userIngredients,
+      ingredientCoverage,
+      packIngredients,
+      excludedIngredients,
+      candidates,
+      summary: {
+        candidates: candidates.length,
+        wouldMatch: candidates.filter(candidate => candidate.wouldMatch).length,
+        filtered: candidates.filter(candidate => candidate.filteredBy.length > 0).length,
+        excludedByHistory: candidates.filter(candidate => candidate.excludedBy.length > 0).length
+      }
+    });
   } catch (error) {
-    console.error('Error matching recipe:', error);
-    res.status(500).json({ error: 'Failed to match recipe' });
+    console.error('Error explaining recipe match:', error);
+    res.status(500).json({ error: 'Failed to explain recipe match' });
   }
 });
 
 // Save favorite recipe endpoint (5-star recipes)
 app.post('/api/recipes/save-favorite', async (req, res) => {
   try {
-    const { recipe, deviceId, rating } = req.body;
+    const { deviceId, rating } = req.body;
+    let { recipe } = req.body;
+    
+    // A recipe the server generated is saved as it was stored, not as the client sent it back
+    const generatedId = req.body.generatedRecipeId ||
+      (GENERATED_RECIPE_ID_PATTERN.test(String(recipe?.id)) ? recipe.id : null);
+    let generated = null;
+    if (generatedId) {
+      const generatedResult = await pool.query(
+        'SELECT recipe, promoted_recipe_id FROM generated_recipes WHERE id = $1',
+        [generatedId]
+      );
+      if (generatedResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Generated recipe not found' });
+      }
+      generated = generatedResult.rows[0];
+      recipe = generated.recipe;
+    }
     
     // Validate input
     if (!recipe || !recipe.title) {
@@ -736,49 +2249,37 @@ app.post('/api/recipes/save-favorite', async (req, res) => {
     await pool.query('BEGIN');
     
     try {
-      // Check if recipe already exists
-      const existingRecipe = await pool.query(
-        'SELECT id FROM recipes WHERE title = $1',
-        [recipe.title]
-      );
+      // Check if recipe already exists. A generated recipe only exists as the recipe it
+      // was promoted to; a recipe that merely shares its title is a different recipe.
+      let existingRecipeId = null;
+      if (generated) {
+        existingRecipeId = generated.promoted_recipe_id;
+      } else {
+        const existingRecipe = await pool.query(
+          'SELECT id FROM recipes WHERE title = $1',
+          [recipe.title]
+        );
+        existingRecipeId = existingRecipe.rows.length > 0 ? existingRecipe.rows[0].id : null;
+      }
       
-      if (existingRecipe.rows.length > 0) {
+      if (existingRecipeId) {
         // Recipe exists, just update rating count
         await pool.query(
           'UPDATE recipes SET rating_count = rating_count + 1, average_rating = ((average_rating * rating_count) + $1) / (rating_count + 1) WHERE id = $2',
-          [rating, existingRecipe.rows[0].id]
+          [rating, existingRecipeId]
         );
         
         await pool.query('COMMIT');
+        await invalidateMatchCacheForRecipe(existingRecipeId);
         return res.json({ 
           success: true, 
           message: 'Recipe rating updated',
-          recipeId: existingRecipe.rows[0].id 
+          recipeId: existingRecipeId 
         });
       }
       
       // Parse prep and cook times to minutes
-      const parseTime = (timeStr) => {
-        if (!timeStr) return 30;
-        
-        // If it's already a number, just return it
-        if (typeof timeStr === 'number') return timeStr;
-        
-        // Convert to string to ensure we can use match
-        const str = String(timeStr);
-        
-        // If it's just a number as string, return it
-        const num = parseInt(str);
-        if (!isNaN(num) && str.trim() === num.toString()) return num;
-        
-        // Parse time strings like "30 minutes", "1 hour", etc.
-        const hours = str.match(/(\d+)\s*h/i);
-        const minutes = str.match(/(\d+)\s*m/i);
-        let total = 0;
-        if (hours) total += parseInt(hours[1]) * 60;
-        if (minutes) total += parseInt(minutes[1]);
-        return total || 30;
-      };
+      const parseTime = (timeStr) => parseTimeToMinutes(timeStr) || 30;
       
       // Insert new recipe with submitted_by field
       const recipeResult = await pool.query(
@@ -805,10 +2306,14 @@ app.post('/api/recipes/save-favorite', async (req, res) => {
       console.log(`Created recipe with ID: ${recipeId}`);
       
       // Insert parsed ingredients
+      const savedIngredientNames = [];
+      let addedNewIngredient = false;
       if (recipe.ingredients && Array.isArray(recipe.ingredients)) {
+        const lexicon = await getIngredientLexicon();
+        const taxonomy = await getIngredientTaxonomy();
         for (const ingredientStr of recipe.ingredients) {
           const parsed = parseIngredient(ingredientStr);
-          const coreIngredient = getCoreIngredient(parsed.name);
+          const coreIngredient = normalizeIngredient(parsed.name, lexicon);
           
           // First, ensure core ingredient exists in ingredients table
           let ingredientId;
@@ -820,18 +2325,43 @@ app.post('/api/recipes/save-favorite', async (req, res) => {
           if (existingIngredient.rows.length > 0) {
             ingredientId = existingIngredient.rows[0].id;
           } else {
-            // Insert new ingredient
+            // Insert new ingredient, filed under the closest taxonomy node
+            const placement = categorizeIngredient(taxonomy, coreIngredient);
             const newIngredient = await pool.query(
               'INSERT INTO ingredients (name, category) VALUES ($1, $2) RETURNING id',
-              [coreIngredient, 'other']
+              [coreIngredient, placement.category || 'other']
             );
             ingredientId = newIngredient.rows[0].id;
+            addedNewIngredient = true;
+            
+            if (placement.parent && !inTaxonomy(taxonomy, coreIngredient)) {
+              await pool.query(
+                'INSERT INTO ingredient_taxonomy (name, parent) VALUES ($1, $2) ON CONFLICT (name) DO NOTHING',
+                [coreIngredient, placement.parent]
+              );
+              taxonomy.parents[coreIngredient] = placement.parent;
+              console.log(`Filed new ingredient "${coreIngredient}" under "${placement.parent}"`);
+            }
           }
+          savedIngredientNames.push(coreIngredient);
           
-          // Link ingredient to recipe
+          // Link ingredient to recipe, storing the amount in canonical units next to the amount as entered
+          const quantity = storedQuantity(parsed);
+          const preparation = [parsed.preparation, parsed.note].filter(Boolean).join(', ') || null;
           await pool.query(
-            'INSERT INTO recipe_ingredients (recipe_id, ingredient_id, amount, unit, is_required) VALUES ($1, $2, $3, $4, $5)',
-            [recipeId, ingredientId, parsed.amount || 1, parsed.unit || 'unit', true]
+            `INSERT INTO recipe_ingredients (
+              recipe_id, ingredient_id, amount, unit, original_amount, original_unit, preparation, is_required
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+            [
+              recipeId,
+              ingredientId,
+              quantity.amount,
+              quantity.unit,
+              quantity.originalAmount,
+              quantity.originalUnit,
+              preparation,
+              parsed.note !== 'optional'
+            ]
           );
         }
       }
@@ -896,10 +2426,19 @@ app.post('/api/recipes/save-favorite', async (req, res) => {
         }
       }
       
+      // Only reached for generated recipes that were never promoted
+      if (generated) {
+        await promoteGeneratedRecipe(generatedId, recipeId);
+      }
+      
       await pool.query('COMMIT');
       
-      // Clear cache
-      cache.flushAll();
+      // Cached matches involving these ingredients may now include this recipe
+      await matchCandidateCache.invalidate(savedIngredientNames);
+      if (addedNewIngredient) {
+        await cache.del(LEXICON_CACHE_KEY);
+        await cache.del(TAXONOMY_CACHE_KEY);
+      }
       
       console.log(`Recipe "${recipe.title}" saved successfully`);
       
@@ -923,6 +2462,11 @@ app.post('/api/recipes/save-favorite', async (req, res) => {
 // Get popular recipes endpoint
 app.get('/api/recipes/popular', async (req, res) => {
   try {
+    const excludedIngredients = await getDeviceExclusions(req.query.deviceId);
+    const exclusionFilter = excludedIngredients.length > 0
+      ? `AND ${excludedIngredientsCondition('r.id', 1)}`
+      : '';
+    
     const result = await pool.query(`
       SELECT 
         r.id,
@@ -939,9 +2483,10 @@ app.get('/api/recipes/popular', async (req, res) => {
       WHERE r.source = 'user_generated' 
         AND r.average_rating >= 4.5
         AND r.rating_count >= 1
+        ${exclusionFilter}
       ORDER BY r.average_rating DESC, r.rating_count DESC
       LIMIT 20
-    `);
+    `, excludedIngredients.length > 0 ? [exclusionTerms(excludedIngredients)] : []);
     
     res.json({
       success: true,
@@ -956,6 +2501,11 @@ app.get('/api/recipes/popular', async (req, res) => {
 // Get most-saved recipes endpoint
 app.get('/api/recipes/most-saved', async (req, res) => {
   try {
+    const excludedIngredients = await getDeviceExclusions(req.query.deviceId);
+    const exclusionFilter = excludedIngredients.length > 0
+      ? `AND ${excludedIngredientsCondition('r.id', 1)}`
+      : '';
+    
     const result = await pool.query(`
       SELECT 
         r.id,
@@ -973,11 +2523,12 @@ app.get('/api/recipes/most-saved', async (req, res) => {
       LEFT JOIN recipe_ingredients ri ON r.id = ri.recipe_id
       LEFT JOIN ingredients i ON ri.ingredient_id = i.id
       WHERE r.saved_by_count > 0
+        ${exclusionFilter}
       GROUP BY r.id, r.title, r.cuisine, r.servings, r.prep_time, 
                r.cook_time, r.difficulty, r.average_rating, r.rating_count, r.saved_by_count
       ORDER BY r.saved_by_count DESC, r.average_rating DESC
       LIMIT 20
-    `);
+    `, excludedIngredients.length > 0 ? [exclusionTerms(excludedIngredients)] : []);
     
     res.json({
       success: true,
@@ -996,6 +2547,11 @@ app.get('/api/recipes/most-saved', async (req, res) => {
 // Get top community recipes (most 5-starred)
 app.get('/api/recipes/top-community', async (req, res) => {
   try {
+    const excludedIngredients = await getDeviceExclusions(req.query.deviceId);
+    const exclusionFilter = excludedIngredients.length > 0
+      ? `AND ${excludedIngredientsCondition('r.id', 1)}`
+      : '';
+    
     // Query to get top 10 recipes based on average rating and number of ratings
     // Includes ALL recipes that have been rated (not just community-submitted)
     const topRecipesResult = await pool.query(`
@@ -1013,6 +2569,7 @@ app.get('/api/recipes/top-community', async (req, res) => {
       FROM recipes r
       INNER JOIN recipe_views rv ON r.id = rv.recipe_id
       WHERE rv.rating IS NOT NULL      -- Only include rated recipes
+        ${exclusionFilter}
       GROUP BY r.id, r.title, r.servings, r.cuisine, r.prep_time, r.cook_time, r.created_at
       HAVING COUNT(DISTINCT rv.device_id) > 0  -- Must have at least one rating
       ORDER BY 
@@ -1021,7 +2578,7 @@ app.get('/api/recipes/top-community', async (req, res) => {
         total_ratings DESC,            -- Then by total number of ratings
         r.created_at DESC              -- Finally by creation date
       LIMIT 10
-    `);
+    `, excludedIngredients.length > 0 ? [exclusionTerms(excludedIngredients)] : []);
     
     if (topRecipesResult.rows.length === 0) {
       // If no rated community recipes exist, return empty array
@@ -1041,134 +2598,517 @@ app.get('/api/recipes/top-community', async (req, res) => {
       five_star_count: parseInt(recipe.five_star_count)
     }));
     
-    res.json(formattedRecipes);
+    res.json(formattedRecipes);
+  } catch (error) {
+    console.error('Get top community recipes error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Serving scaling for recipe detail and generated recipes
+const MAX_SERVINGS = 50;
+const NUTRITION_FIELDS = ['calories', 'protein', 'carbs', 'fat', 'fiber', 'sugar', 'sodium'];
+
+// Returns the requested number of servings, undefined if none was asked for, or null if invalid
+function parseServings(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const servings = Number(value);
+  return Number.isInteger(servings) && servings >= 1 && servings <= MAX_SERVINGS ? servings : null;
+}
+
+// Multiply nutrition values, keeping units on values stored as text ("28g")
+function scaleNutrition(nutrition, factor) {
+  const scaled = {};
+  for (const field of NUTRITION_FIELDS) {
+    const value = nutrition[field];
+    if (value === null || value === undefined) continue;
+    
+    const match = String(value).match(/^\s*(\d+(?:\.\d+)?)\s*(.*)$/);
+    if (!match) {
+      scaled[field] = value;
+      continue;
+    }
+    const amount = Math.round(parseFloat(match[1]) * factor * 10) / 10;
+    scaled[field] = typeof value === 'number' || !match[2] ? amount : `${amount}${match[2]}`;
+  }
+  return scaled;
+}
+
+// Nutrition is stored per serving, so per-serving values carry over unchanged;
+// the total for the whole scaled batch is recomputed from them.
+function scaledNutrition(nutrition, servings) {
+  const perServing = scaleNutrition(nutrition, 1);
+  return { nutrition: perServing, totalNutrition: scaleNutrition(perServing, servings) };
+}
+
+// Scale "2 cups rice, rinsed" style ingredient lines from a generated recipe.
+// Lines without a recognisable amount are left as they are.
+function scaleIngredientLines(lines, factor) {
+  return lines.map(line => {
+    if (typeof line !== 'string') return line;
+    const parsed = parseIngredient(line);
+    if (parsed.amount === null) return line;
+    
+    const scaled = scaleQuantity(parsed.amount, parsed.unit, factor);
+    return formatIngredient({ ...scaled, name: parsed.name, preparation: parsed.preparation });
+  });
+}
+
+// Get recipe by ID
+app.get('/api/recipes/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Amounts are shown as entered unless a unit system is asked for
+    const units = req.query.units;
+    if (units !== undefined && !UNIT_SYSTEMS.includes(units)) {
+      return res.status(400).json({ error: `units must be one of: ${UNIT_SYSTEMS.join(', ')}` });
+    }
+    
+    const requestedServings = parseServings(req.query.servings);
+    if (requestedServings === null) {
+      return res.status(400).json({ error: `servings must be a whole number between 1 and ${MAX_SERVINGS}` });
+    }
+    
+    const target = await resolveRecipeId(id);
+    if (!target) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+    
+    if (target.type === 'generated') {
+      const generatedResult = await pool.query('SELECT * FROM generated_recipes WHERE id = $1', [target.id]);
+      const generated = generatedResult.rows[0];
+      const generatedRecipe = {
+        ...generated.recipe,
+        id: generated.id,
+        rating: generated.average_rating || 0,
+        ratingCount: generated.rating_count || 0,
+        generated: {
+          provider: generated.provider,
+          generateModel: generated.generate_model,
+          reviewModel: generated.review_model,
+          promptVersion: generated.prompt_version,
+          createdAt: generated.created_at
+        }
+      };
+      
+      const generatedServings = parseInt(generatedRecipe.servings) || 4;
+      if (requestedServings && requestedServings !== generatedServings) {
+        generatedRecipe.ingredients = scaleIngredientLines(generatedRecipe.ingredients, requestedServings / generatedServings);
+        generatedRecipe.servings = requestedServings;
+        generatedRecipe.scaledFrom = generatedServings;
+        Object.assign(generatedRecipe, scaledNutrition(generatedRecipe.nutrition, requestedServings));
+      }
+      return res.json(generatedRecipe);
+    }
+    
+    const recipeResult = await pool.query(
+      'SELECT * FROM recipes WHERE id = $1',
+      [target.id]
+    );
+    
+    if (recipeResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+    
+    const recipe = recipeResult.rows[0];
+    const baseServings = recipe.servings || 4;
+    const servings = requestedServings || baseServings;
+    // Amounts are only touched when the servings differ, so a plain fetch shows them as stored
+    const scaling = servings !== baseServings;
+    
+    // Get ingredients
+    const ingredientsResult = await pool.query(
+      'SELECT i.name, ri.amount, ri.unit, ri.original_amount, ri.original_unit, ri.preparation FROM recipe_ingredients ri JOIN ingredients i ON ri.ingredient_id = i.id WHERE ri.recipe_id = $1',
+      [target.id]
+    );
+    
+    // Get instructions
+    const instructionsResult = await pool.query(
+      'SELECT instruction FROM recipe_instructions WHERE recipe_id = $1 ORDER BY step_number',
+      [target.id]
+    );
+    
+    // Get nutrition
+    const nutritionResult = await pool.query(
+      'SELECT * FROM recipe_nutrition WHERE recipe_id = $1',
+      [target.id]
+    );
+    
+    // Format the recipe to match frontend expectations
+    const formattedRecipe = {
+      id: recipe.id,
+      title: recipe.title,
+      description: recipe.description || `A delicious ${recipe.cuisine || 'homemade'} dish`,
+      ingredients: ingredientsResult.rows.map(ing => {
+        const quantity = units ? ing : enteredQuantity(ing);
+        const scaled = scaling ? { ...quantity, ...scaleQuantity(quantity.amount, quantity.unit, servings / baseServings) } : quantity;
+        return formatIngredient(scaled, units);
+      }),
+      instructions: instructionsResult.rows.map(i => i.instruction),
+      prepTime: recipe.prep_time ? `${recipe.prep_time} minutes` : '30 minutes',
+      cookTime: recipe.cook_time ? `${recipe.cook_time} minutes` : '30 minutes',
+      servings,
+      nutrition: nutritionResult.rows[0] || {
+        calories: 450,
+        protein: 25,
+        carbs: 50,
+        fat: 20,
+        fiber: 5
+      },
+      cuisine: recipe.cuisine || 'american',
+      difficulty: recipe.difficulty || 'medium',
+      rating: recipe.average_rating || 0,
+      ratingCount: recipe.rating_count || 0
+    };
+    
+    if (scaling) {
+      formattedRecipe.scaledFrom = baseServings;
+      if (nutritionResult.rows[0]) {
+        Object.assign(formattedRecipe, scaledNutrition(nutritionResult.rows[0], servings));
+      }
+    }
+    
+    res.json(formattedRecipe);
+  } catch (error) {
+    console.error('Get recipe error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rate recipe
+app.post('/api/recipes/:id/rate', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { rating, deviceId } = req.body;
+    
+    if (!rating || rating < 1 || rating > 5) {
+      return res.status(400).json({ error: 'Rating must be between 1 and 5' });
+    }
+    
+    if (!deviceId) {
+      return res.status(400).json({ error: 'Device ID is required' });
+    }
+    
+    const target = await resolveRecipeId(id);
+    if (!target) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+    
+    console.log(`Rating recipe ${target.id} with ${rating} stars from device ${deviceId}`);
+    
+    if (target.type === 'generated') {
+      await rateGeneratedRecipe(target.id, deviceId, rating);
+      return res.json({ success: true, message: `Recipe rated ${rating} stars` });
+    }
+    
+    // Update or insert rating in recipe_views
+    await pool.query(
+      `INSERT INTO recipe_views (recipe_id, device_id, rating) 
+       VALUES ($1, $2, $3) 
+       ON CONFLICT (recipe_id, device_id) 
+       DO UPDATE SET rating = $3, viewed_at = CURRENT_TIMESTAMP`,
+      [target.id, deviceId, rating]
+    );
+    
+    // Update average rating in recipes table
+    const ratingStats = await pool.query(
+      `SELECT 
+        COUNT(DISTINCT device_id) as total_ratings,
+        AVG(rating) as avg_rating
+       FROM recipe_views 
+       WHERE recipe_id = $1 AND rating IS NOT NULL`,
+      [target.id]
+    );
+    
+    if (ratingStats.rows.length > 0) {
+      const { total_ratings, avg_rating } = ratingStats.rows[0];
+      await pool.query(
+        'UPDATE recipes SET rating_count = $1, average_rating = $2 WHERE id = $3',
+        [total_ratings, avg_rating, target.id]
+      );
+    }
+    
+    // If it's a 5-star rating and not already submitted, mark as community recipe
+    if (rating === 5) {
+      await pool.query(
+        'UPDATE recipes SET submitted_by = $1 WHERE id = $2 AND submitted_by IS NULL',
+        [deviceId, target.id]
+      );
+    }
+    
+    await invalidateMatchCacheForRecipe(target.id);
+
+    res.json({ success: true, message: `Recipe rated ${rating} stars` });
+  } catch (error) {
+    console.error('Rate recipe error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Record that a device opened a recipe from a paginated match result
+app.post('/api/recipes/:id/view', async (req, res) => {
+  try {
+    const { deviceId } = req.body;
+    
+    if (!deviceId) {
+      return res.status(400).json({ error: 'Device ID is required' });
+    }
+    
+    const target = await resolveRecipeId(req.params.id);
+    if (!target) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+    
+    const recorded = await recordRecipeView(target.id, deviceId, viewsTable(target));
+    
+    res.json({ success: true, recorded });
+  } catch (error) {
+    if (error.code === '23503') {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+    console.error('Record recipe view error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Spice pack registry: built-in packs plus the device's custom packs
+app.get('/api/spice-packs', async (req, res) => {
+  try {
+    const packs = await getBuiltInSpicePacks();
+    const customPacks = await getCustomSpicePacks(req.query.deviceId);
+    
+    res.json({
+      version: spicePackVersion({ packs, customPacks }),
+      packs,
+      customPacks
+    });
+  } catch (error) {
+    console.error('Error fetching spice packs:', error);
+    res.status(500).json({ error: 'Failed to fetch spice packs' });
+  }
+});
+
+// Create a custom spice pack for a device
+app.post('/api/spice-packs/custom', async (req, res) => {
+  try {
+    const { deviceId, name } = req.body;
+    const items = sanitizeSpicePackItems(req.body.items);
+    
+    if (!deviceId) {
+      return res.status(400).json({ error: 'Device ID is required' });
+    }
+    
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'Pack name is required' });
+    }
+    
+    if (!items || items.length === 0) {
+      return res.status(400).json({ error: 'Items array required' });
+    }
+    
+    const result = await pool.query(
+      'INSERT INTO spice_packs (name, items, device_id) VALUES ($1, $2, $3) RETURNING id, name, items',
+      [name.trim(), items, deviceId]
+    );
+    
+    res.json({ success: true, pack: { ...result.rows[0], custom: true } });
+  } catch (error) {
+    console.error('Error creating spice pack:', error);
+    res.status(500).json({ error: 'Failed to create spice pack' });
+  }
+});
+
+// Update a device's custom spice pack
+app.put('/api/spice-packs/custom/:id', async (req, res) => {
+  try {
+    const { deviceId, name } = req.body;
+    const items = req.body.items === undefined ? undefined : sanitizeSpicePackItems(req.body.items);
+    
+    if (!deviceId) {
+      return res.status(400).json({ error: 'Device ID is required' });
+    }
+    
+    if (items !== undefined && (!items || items.length === 0)) {
+      return res.status(400).json({ error: 'Items array required' });
+    }
+    
+    const result = await pool.query(
+      `UPDATE spice_packs
+       SET name = COALESCE($1, name), items = COALESCE($2, items), updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3 AND device_id = $4
+       RETURNING id, name, items`,
+      [typeof name === 'string' && name.trim() ? name.trim() : null, items || null, parseInt(req.params.id) || 0, deviceId]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Spice pack not found' });
+    }
+    
+    res.json({ success: true, pack: { ...result.rows[0], custom: true } });
+  } catch (error) {
+    console.error('Error updating spice pack:', error);
+    res.status(500).json({ error: 'Failed to update spice pack' });
+  }
+});
+
+// Delete a device's custom spice pack
+app.delete('/api/spice-packs/custom/:id', async (req, res) => {
+  try {
+    const deviceId = req.body.deviceId || req.query.deviceId;
+    
+    if (!deviceId) {
+      return res.status(400).json({ error: 'Device ID is required' });
+    }
+    
+    const result = await pool.query(
+      'DELETE FROM spice_packs WHERE id = $1 AND device_id = $2 RETURNING id',
+      [parseInt(req.params.id) || 0, deviceId]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Spice pack not found' });
+    }
+    
+    res.json({ success: true });
   } catch (error) {
-    console.error('Get top community recipes error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    console.error('Error deleting spice pack:', error);
+    res.status(500).json({ error: 'Failed to delete spice pack' });
   }
 });
 
-// Get recipe by ID
-app.get('/api/recipes/:id', async (req, res) => {
+// Mark a recipe as "not interested" for a device (or undo it with notInterested: false)
+app.post('/api/recipes/:id/not-interested', async (req, res) => {
   try {
-    const { id } = req.params;
+    const { deviceId } = req.body;
+    const notInterested = req.body.notInterested !== false;
     
-    const recipeResult = await pool.query(
-      'SELECT * FROM recipes WHERE id = $1',
-      [id]
-    );
+    if (!deviceId) {
+      return res.status(400).json({ error: 'Device ID is required' });
+    }
     
-    if (recipeResult.rows.length === 0) {
+    const target = await resolveRecipeId(req.params.id);
+    if (!target) {
       return res.status(404).json({ error: 'Recipe not found' });
     }
     
-    const recipe = recipeResult.rows[0];
-    
-    // Get ingredients
-    const ingredientsResult = await pool.query(
-      'SELECT i.name, ri.amount, ri.unit FROM recipe_ingredients ri JOIN ingredients i ON ri.ingredient_id = i.id WHERE ri.recipe_id = $1',
-      [id]
+    await pool.query(
+      `INSERT INTO ${viewsTable(target)} (recipe_id, device_id, not_interested)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (recipe_id, device_id)
+       DO UPDATE SET not_interested = $3`,
+      [target.id, deviceId, notInterested]
     );
     
-    // Get instructions
-    const instructionsResult = await pool.query(
-      'SELECT instruction FROM recipe_instructions WHERE recipe_id = $1 ORDER BY step_number',
-      [id]
-    );
+    console.log(`Device ${deviceId} ${notInterested ? 'hid' : 'unhid'} recipe ${target.id}`);
+    res.json({ success: true, notInterested });
+  } catch (error) {
+    if (error.code === '23503') {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+    console.error('Not interested error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reset a device's seen history so viewed recipes can be matched again.
+// Ratings and "not interested" flags are kept.
+app.post('/api/recipe-views/reset', async (req, res) => {
+  try {
+    const { deviceId } = req.body;
     
-    // Get nutrition
-    const nutritionResult = await pool.query(
-      'SELECT * FROM recipe_nutrition WHERE recipe_id = $1',
-      [id]
-    );
+    if (!deviceId) {
+      return res.status(400).json({ error: 'Device ID is required' });
+    }
     
-    // Format the recipe to match frontend expectations
-    const formattedRecipe = {
-      id: recipe.id,
-      title: recipe.title,
-      description: recipe.description || `A delicious ${recipe.cuisine || 'homemade'} dish`,
-      ingredients: ingredientsResult.rows.map(ing => 
-        ing.amount ? `${ing.amount} ${ing.unit || ''} ${ing.name}`.trim() : ing.name
-      ),
-      instructions: instructionsResult.rows.map(i => i.instruction),
-      prepTime: recipe.prep_time ? `${recipe.prep_time} minutes` : '30 minutes',
-      cookTime: recipe.cook_time ? `${recipe.cook_time} minutes` : '30 minutes',
-      servings: recipe.servings || 4,
-      nutrition: nutritionResult.rows[0] || {
-        calories: 450,
-        protein: 25,
-        carbs: 50,
-        fat: 20,
-        fiber: 5
-      },
-      cuisine: recipe.cuisine || 'american',
-      difficulty: recipe.difficulty || 'medium',
-      rating: recipe.average_rating || 0,
-      ratingCount: recipe.rating_count || 0
-    };
+    const result = await pool.query(
+      `INSERT INTO device_view_resets (device_id, reset_at)
+       VALUES ($1, CURRENT_TIMESTAMP)
+       ON CONFLICT (device_id) DO UPDATE SET reset_at = CURRENT_TIMESTAMP
+       RETURNING reset_at`,
+      [deviceId]
+    );
     
-    res.json(formattedRecipe);
+    console.log(`Reset seen history for device ${deviceId}`);
+    res.json({ success: true, resetAt: result.rows[0].reset_at });
   } catch (error) {
-    console.error('Get recipe error:', error);
+    console.error('Reset view history error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Rate recipe
-app.post('/api/recipes/:id/rate', async (req, res) => {
+// Substitutes for an ingredient (buttermilk -> milk + lemon juice), with ratio and notes
+app.get('/api/ingredients/:name/substitutes', async (req, res) => {
   try {
-    const { id } = req.params;
-    const { rating, deviceId } = req.body;
-    
-    if (!rating || rating < 1 || rating > 5) {
-      return res.status(400).json({ error: 'Rating must be between 1 and 5' });
+    const lexicon = await getIngredientLexicon();
+    const name = normalizeIngredient(req.params.name, lexicon);
+    if (!name) {
+      return res.status(400).json({ error: 'Ingredient name required' });
     }
     
+    const substitutions = await getIngredientSubstitutions();
+    const taxonomy = await getIngredientTaxonomy();
+    res.json({ ingredient: name, substitutes: findSubstitutes(substitutions, taxonomy, name) });
+  } catch (error) {
+    console.error('Error fetching substitutes:', error);
+    res.status(500).json({ error: 'Failed to fetch substitutes' });
+  }
+});
+
+// Ingredient exclusion endpoints (allergens and "never show" ingredients)
+app.get('/api/exclusions/:deviceId', async (req, res) => {
+  try {
+    const exclusions = await getDeviceExclusions(req.params.deviceId);
+    res.json({ exclusions });
+  } catch (error) {
+    console.error('Error fetching exclusions:', error);
+    res.status(500).json({ error: 'Failed to fetch exclusions' });
+  }
+});
+
+// Replace a device's exclusion list
+app.post('/api/exclusions', async (req, res) => {
+  try {
+    const { deviceId, ingredients } = req.body;
+    
     if (!deviceId) {
       return res.status(400).json({ error: 'Device ID is required' });
     }
     
-    console.log(`Rating recipe ${id} with ${rating} stars from device ${deviceId}`);
-    
-    // Update or insert rating in recipe_views
-    await pool.query(
-      `INSERT INTO recipe_views (recipe_id, device_id, rating) 
-       VALUES ($1, $2, $3) 
-       ON CONFLICT (recipe_id, device_id) 
-       DO UPDATE SET rating = $3, viewed_at = CURRENT_TIMESTAMP`,
-      [id, deviceId, rating]
-    );
+    if (!Array.isArray(ingredients)) {
+      return res.status(400).json({ error: 'Ingredients array required' });
+    }
     
-    // Update average rating in recipes table
-    const ratingStats = await pool.query(
-      `SELECT 
-        COUNT(DISTINCT device_id) as total_ratings,
-        AVG(rating) as avg_rating
-       FROM recipe_views 
-       WHERE recipe_id = $1 AND rating IS NOT NULL`,
-      [id]
-    );
+    const lexicon = await getIngredientLexicon();
+    const exclusions = [...new Set(
+      ingredients
+        .filter(ing => typeof ing === 'string' && ing.trim())
+        .map(ing => normalizeIngredient(ing, lexicon))
+    )];
     
-    if (ratingStats.rows.length > 0) {
-      const { total_ratings, avg_rating } = ratingStats.rows[0];
-      await pool.query(
-        'UPDATE recipes SET rating_count = $1, average_rating = $2 WHERE id = $3',
-        [total_ratings, avg_rating, id]
-      );
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM device_exclusions WHERE device_id = $1', [deviceId]);
+      for (const ingredient of exclusions) {
+        await client.query(
+          'INSERT INTO device_exclusions (device_id, ingredient) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+          [deviceId, ingredient]
+        );
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
     }
     
-    // If it's a 5-star rating and not already submitted, mark as community recipe
-    if (rating === 5) {
-      await pool.query(
-        'UPDATE recipes SET submitted_by = $1 WHERE id = $2 AND submitted_by IS NULL',
-        [deviceId, id]
-      );
-    }
-
-    res.json({ success: true, message: `Recipe rated ${rating} stars` });
+    console.log(`Device ${deviceId} now excludes: ${exclusions.join(', ') || 'nothing'}`);
+    res.json({ success: true, exclusions: exclusions.sort() });
   } catch (error) {
-    console.error('Rate recipe error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    console.error('Error updating exclusions:', error);
+    res.status(500).json({ error: 'Failed to update exclusions' });
   }
 });
 
@@ -1254,6 +3194,10 @@ app.post('/api/migrate-device', async (req, res) => {
         'UPDATE recipe_views SET device_id = $1 WHERE device_id = $2',
         [newDeviceId, oldDeviceId]
       );
+      await pool.query(
+        'UPDATE generated_recipe_views SET device_id = $1 WHERE device_id = $2',
+        [newDeviceId, oldDeviceId]
+      );
       
       // Update premium_users
       await pool.query(
@@ -1267,6 +3211,30 @@ app.post('/api/migrate-device', async (req, res) => {
         [newDeviceId, oldDeviceId]
       );
       
+      // Move ingredient exclusions, keeping any the new device already has
+      await pool.query(
+        `INSERT INTO device_exclusions (device_id, ingredient)
+         SELECT $1, ingredient FROM device_exclusions WHERE device_id = $2
+         ON CONFLICT DO NOTHING`,
+        [newDeviceId, oldDeviceId]
+      );
+      await pool.query('DELETE FROM device_exclusions WHERE device_id = $1', [oldDeviceId]);
+      
+      // Move custom spice packs
+      await pool.query(
+        'UPDATE spice_packs SET device_id = $1 WHERE device_id = $2',
+        [newDeviceId, oldDeviceId]
+      );
+      
+      // Move the seen-history reset, keeping the later one if both devices have one
+      await pool.query(
+        `INSERT INTO device_view_resets (device_id, reset_at)
+         SELECT $1, reset_at FROM device_view_resets WHERE device_id = $2
+         ON CONFLICT (device_id) DO UPDATE SET reset_at = GREATEST(device_view_resets.reset_at, EXCLUDED.reset_at)`,
+        [newDeviceId, oldDeviceId]
+      );
+      await pool.query('DELETE FROM device_view_resets WHERE device_id = $1', [oldDeviceId]);
+      
       // Commit transaction
       await pool.query('COMMIT');
       
@@ -1304,6 +3272,10 @@ app.post('/api/migrate-to-google', async (req, res) => {
         'UPDATE recipe_views SET device_id = $1 WHERE device_id = $2',
         [newDeviceId, oldDeviceId]
       );
+      await pool.query(
+        'UPDATE generated_recipe_views SET device_id = $1 WHERE device_id = $2',
+        [newDeviceId, oldDeviceId]
+      );
       
       // Update premium_users
       await pool.query(
@@ -1317,6 +3289,30 @@ app.post('/api/migrate-to-google', async (req, res) => {
         [newDeviceId, oldDeviceId]
       );
       
+      // Move ingredient exclusions, keeping any the new device already has
+      await pool.query(
+        `INSERT INTO device_exclusions (device_id, ingredient)
+         SELECT $1, ingredient FROM device_exclusions WHERE device_id = $2
+         ON CONFLICT DO NOTHING`,
+        [newDeviceId, oldDeviceId]
+      );
+      await pool.query('DELETE FROM device_exclusions WHERE device_id = $1', [oldDeviceId]);
+      
+      // Move custom spice packs
+      await pool.query(
+        'UPDATE spice_packs SET device_id = $1 WHERE device_id = $2',
+        [newDeviceId, oldDeviceId]
+      );
+      
+      // Move the seen-history reset, keeping the later one if both devices have one
+      await pool.query(
+        `INSERT INTO device_view_resets (device_id, reset_at)
+         SELECT $1, reset_at FROM device_view_resets WHERE device_id = $2
+         ON CONFLICT (device_id) DO UPDATE SET reset_at = GREATEST(device_view_resets.reset_at, EXCLUDED.reset_at)`,
+        [newDeviceId, oldDeviceId]
+      );
+      await pool.query('DELETE FROM device_view_resets WHERE device_id = $1', [oldDeviceId]);
+      
       // Add Google email to premium_users if exists
       if (googleEmail) {
         await pool.query(
@@ -1342,118 +3338,6 @@ app.post('/api/migrate-to-google', async (req, res) => {
   }
 });
 
-// Debug endpoint to check recipe views tracking
-app.get('/api/debug/recipe-views', async (req, res) => {
-  try {
-    // Check if table exists
-    const tableCheck = await pool.query(`
-      SELECT EXISTS (
-        SELECT FROM information_schema.tables 
-        WHERE table_schema = 'public' 
-        AND table_name = 'recipe_views'
-      );
-    `);
-    
-    if (!tableCheck.rows[0].exists) {
-      return res.json({
-        error: 'recipe_views table does not exist!',
-        message: 'The table will be created on next server restart'
-      });
-    }
-    
-    // Get stats
-    const stats = await pool.query(`
-      SELECT 
-        COUNT(*) as total_views,
-        COUNT(DISTINCT device_id) as unique_devices,
-        COUNT(DISTINCT recipe_id) as unique_recipes
-      FROM recipe_views
-    `);
-    
-    // Get recent views
-    const recentViews = await pool.query(`
-      SELECT 
-        rv.device_id,
-        rv.recipe_id,
-        r.title,
-        rv.viewed_at
-      FROM recipe_views rv
-      LEFT JOIN recipes r ON rv.recipe_id = r.id
-      ORDER BY rv.viewed_at DESC
-      LIMIT 10
-    `);
-    
-    res.json({
-      status: 'success',
-      tableExists: true,
-      stats: stats.rows[0],
-      recentViews: recentViews.rows,
-      message: 'Recipe view tracking is active'
-    });
-    
-  } catch (error) {
-    res.status(500).json({ 
-      error: error.message,
-      hint: 'The table will be created automatically on next server restart'
-    });
-  }
-});
-
-// TEMPORARY DEBUG ENDPOINT - Check recipe matching
-app.post('/api/debug/check-matches', async (req, res) => {
-  try {
-    const { ingredients, deviceId } = req.body;
-    
-    // Get all recipes that match ANY of the ingredients
-    const anyMatch = await pool.query(`
-      SELECT DISTINCT r.id, r.title, 
-        array_agg(DISTINCT i.name) as matching_ingredients
-      FROM recipes r
-      JOIN recipe_ingredients ri ON r.id = ri.recipe_id
-      JOIN ingredients i ON ri.ingredient_id = i.id
-      WHERE LOWER(i.name) = ANY($1::text[])
-      GROUP BY r.id, r.title
-      ORDER BY r.id
-    `, [ingredients.map(i => i.toLowerCase())]);
-    
-    // Get viewed recipes for this device
-    const viewed = await pool.query(
-      'SELECT recipe_id FROM recipe_views WHERE device_id = $1',
-      [deviceId]
-    );
-    const viewedIds = viewed.rows.map(r => r.recipe_id);
-    
-    // Get recipes that match ALL ingredients (more strict)
-    const allMatch = await pool.query(`
-      SELECT r.id, r.title, COUNT(DISTINCT i.name) as match_count
-      FROM recipes r
-      JOIN recipe_ingredients ri ON r.id = ri.recipe_id
-      JOIN ingredients i ON ri.ingredient_id = i.id
-      WHERE LOWER(i.name) = ANY($1::text[])
-      GROUP BY r.id, r.title
-      HAVING COUNT(DISTINCT i.name) = $2
-      ORDER BY r.id
-    `, [ingredients.map(i => i.toLowerCase()), ingredients.length]);
-    
-    res.json({
-      requestedIngredients: ingredients,
-      recipesMatchingAnyIngredient: anyMatch.rows,
-      recipesMatchingAllIngredients: allMatch.rows,
-      viewedByThisDevice: viewedIds,
-      availableAfterExclusion: anyMatch.rows.filter(r => !viewedIds.includes(r.id)),
-      summary: {
-        totalRecipesInDB: anyMatch.rows.length,
-        matchingAll: allMatch.rows.length,
-        alreadyViewed: viewedIds.length,
-        stillAvailable: anyMatch.rows.filter(r => !viewedIds.includes(r.id)).length
-      }
-    });
-    
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
 // Secure recipe generation endpoint
 app.post('/api/recipes/generate', recipeGenerationLimiter, async (req, res) => {
   try {
@@ -1464,200 +3348,158 @@ app.post('/api/recipes/generate', recipeGenerationLimiter, async (req, res) => {
       return res.status(400).json({ error: 'Ingredients are required' });
     }
     
+    const requestedServings = parseServings(req.body.servings);
+    if (requestedServings === null) {
+      return res.status(400).json({ error: `servings must be a whole number between 1 and ${MAX_SERVINGS}` });
+    }
+    
     if (!deviceId) {
       return res.status(400).json({ error: 'Device ID is required' });
     }
     
-    // Check if Gemini API key is configured
-    if (!GEMINI_API_KEY) {
-      console.error('Gemini API key not configured');
+    // Check if the generation provider is configured
+    if (!llm.configured) {
+      console.error(`Recipe generation provider ${llm.name} not configured`);
       return res.status(500).json({ error: 'Recipe generation service not configured' });
     }
     
     // Log the request (but not the API key!)
     console.log(`Recipe generation request from device: ${deviceId}, ingredients: ${ingredients.length}`);
     
+    const excludedIngredients = await getDeviceExclusions(deviceId);
+    
+    // Seasonings come from the selected spice packs, including the device's custom packs
+    const activeSpicePacks = spicePacks ? await resolveSpicePacks(spicePacks, deviceId) : [];
+    const availableSpices = activeSpicePacks.length > 0
+      ? [...new Set(activeSpicePacks.flatMap(pack => pack.items))].join(', ')
+      : 'salt, pepper, common spices';
+    
     try {
-      // Stage 1: Generate initial recipe with Gemini 1.5 Flash (faster, cheaper)
-      console.log('Stage 1: Generating initial recipe with Gemini 1.5 Flash...');
-      
-      // Simplified prompt for initial generation
-      const simplePrompt = prompt || `Create a ${theme || 'delicious'} recipe using these ingredients: ${ingredients.join(', ')}. 
-      Available seasonings: salt, pepper, common spices.
-      Return a JSON object with: title, description, ingredients (with amounts), instructions (array), prepTime, servings.`;
-      
-      const stage1Response = await axios.post(
-        `${GEMINI_15_FLASH_URL}?key=${GEMINI_API_KEY}`,
-        {
-          contents: [{
-            parts: [{
-              text: simplePrompt
-            }]
-          }],
-          generationConfig: {
-            temperature: 0.8, // Higher creativity for initial generation
-            topK: 1,
-            topP: 1,
-            maxOutputTokens: 1024,
-          },
-          safetySettings: [
-            {
-              category: "HARM_CATEGORY_HARASSMENT",
-              threshold: "BLOCK_MEDIUM_AND_ABOVE"
-            },
-            {
-              category: "HARM_CATEGORY_HATE_SPEECH",
-              threshold: "BLOCK_MEDIUM_AND_ABOVE"
-            },
-            {
-              category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-              threshold: "BLOCK_MEDIUM_AND_ABOVE"
-            },
-            {
-              category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-              threshold: "BLOCK_MEDIUM_AND_ABOVE"
-            }
-          ]
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          timeout: 15000 // 15 second timeout for stage 1
-        }
-      );
-      
-      let initialRecipe;
-      if (stage1Response.data && stage1Response.data.candidates && stage1Response.data.candidates[0]) {
-        const generatedText = stage1Response.data.candidates[0].content.parts[0].text;
-        try {
-          const cleanedText = generatedText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-          initialRecipe = JSON.parse(cleanedText);
-        } catch (e) {
-          // If parsing fails, create a basic structure
-          initialRecipe = {
-            title: "Quick Recipe",
-            description: "A delicious dish",
-            ingredients: ingredients.map(ing => `Some ${ing}`),
-            instructions: [generatedText],
-            prepTime: "30 minutes",
-            servings: "4"
-          };
-        }
-      } else {
-        throw new Error('Stage 1 generation failed');
-      }
-      
-      // Stage 2: Review and correct with Gemini 2.0 Flash (more accurate)
-      console.log('Stage 2: Reviewing and correcting with Gemini 2.0 Flash...');
+      const providerInputs = { ingredients, cuisine: theme, availableSpices, excludedIngredients, servings: requestedServings };
+      const deadline = requestDeadline();
       
-      const validationPrompt = `Review and fix this recipe. CRITICAL RULES:
+      // Two-stage generation; `corrections` lists problems with a previous attempt
+      // and `rejected` the excluded ingredients it used
+      const generateRecipe = async (corrections = [], rejected = []) => {
+        // Stage 1: Generate initial recipe with the faster, cheaper model
+        console.log(`Stage 1: Generating initial recipe with ${llm.name} (${llm.models.generate})...`);
+        
+        // Simplified prompt for initial generation
+        // Exclusions and corrections are appended even to client-supplied prompts
+        const basePrompt = prompt || `Create a ${theme || 'delicious'} recipe using these ingredients: ${ingredients.join(', ')}. 
+        Available seasonings: ${availableSpices}.
+        Return a JSON object with: title, description, ingredients (array of strings with amounts), instructions (array), prepTime, cookTime, servings, difficulty (easy, medium or hard), cuisine, nutrition (calories, protein, carbs, fat, fiber).`;
+        const extraRules = [exclusionPromptRule(excludedIngredients), ...correctionPromptRules(corrections)].filter(Boolean);
+        const simplePrompt = extraRules.length > 0
+          ? `${basePrompt}\n\n${extraRules.join('\n')}`
+          : basePrompt;
+        
+        const initialRecipe = await generateValidRecipe('generate', { prompt: simplePrompt, inputs: { ...providerInputs, rejected }, deadline });
+        
+        // Stage 2: Review and correct with the more accurate model
+        console.log(`Stage 2: Reviewing and correcting with ${llm.name} (${llm.models.review})...`);
+        
+        const validationPrompt = `Review and fix this recipe. CRITICAL RULES:
 1. ONLY use these exact ingredients: ${ingredients.join(', ')}
 2. Remove ANY ingredients not in the list above
 3. Fix unrealistic quantities
 4. Ensure instructions are clear and logical
 5. Add proper measurements to all ingredients
 6. Include nutrition info: calories, protein, carbs, fat, fiber
+7. Ensure all fields are present: title, description, ingredients, instructions, prepTime, cookTime, servings, difficulty, cuisine, nutrition${extraRules.length > 0 ? `
+${numberedRules(extraRules, 8)}` : ''}
 
 Current recipe:
 ${JSON.stringify(initialRecipe, null, 2)}
 
 Return ONLY the corrected recipe as a valid JSON object with all required fields.`;
-      
-      const stage2Response = await axios.post(
-        `${GEMINI_20_FLASH_URL}?key=${GEMINI_API_KEY}`,
-        {
-          contents: [{
-            parts: [{
-              text: validationPrompt
-            }]
-          }],
-          generationConfig: {
-            temperature: 0.3, // Lower temperature for accuracy
-            topK: 1,
-            topP: 1,
-            maxOutputTokens: 1024,
-          },
-          safetySettings: [
-            {
-              category: "HARM_CATEGORY_HARASSMENT",
-              threshold: "BLOCK_MEDIUM_AND_ABOVE"
-            },
-            {
-              category: "HARM_CATEGORY_HATE_SPEECH",
-              threshold: "BLOCK_MEDIUM_AND_ABOVE"
-            },
-            {
-              category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-              threshold: "BLOCK_MEDIUM_AND_ABOVE"
-            },
-            {
-              category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-              threshold: "BLOCK_MEDIUM_AND_ABOVE"
-            }
-          ]
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          timeout: 15000 // 15 second timeout for stage 2
-        }
-      );
-      
-      // Extract the corrected recipe
-      if (stage2Response.data && stage2Response.data.candidates && stage2Response.data.candidates[0]) {
-        const correctedText = stage2Response.data.candidates[0].content.parts[0].text;
         
+        // Extract the corrected recipe, falling back to the stage 1 result
         try {
-          const cleanedText = correctedText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-          const finalRecipe = JSON.parse(cleanedText);
-          
-          // Ensure nutrition info exists
-          if (!finalRecipe.nutrition) {
-            finalRecipe.nutrition = {
-              calories: 350,
-              protein: "25g",
-              carbs: "40g",
-              fat: "12g",
-              fiber: "5g"
-            };
-          }
+          const reviewedRecipe = await generateValidRecipe('review', { prompt: validationPrompt, recipe: initialRecipe, inputs: { ...providerInputs, rejected }, deadline });
           
           // Log successful generation
           console.log(`Recipe generated successfully with 2-stage process for device: ${deviceId}`);
-          
-          res.json({ 
-            success: true, 
-            recipe: finalRecipe,
-            source: 'gemini-2stage'
-          });
-        } catch (parseError) {
-          // If stage 2 parsing fails, use stage 1 result
-          console.error('Stage 2 parse error, using stage 1 result:', parseError);
-          res.json({ 
-            success: true, 
-            recipe: initialRecipe,
-            source: 'gemini-stage1'
-          });
+          return { recipe: reviewedRecipe, source: `${llm.name}-2stage` };
+        } catch (reviewError) {
+          if (!isProviderError(reviewError) && !(reviewError instanceof RecipeValidationError)) throw reviewError;
+          console.error('Stage 2 failed, using stage 1 result:', reviewError.message);
+          return { recipe: initialRecipe, source: `${llm.name}-stage1` };
         }
-      } else {
-        // If stage 2 fails completely, use stage 1 result
-        console.log('Stage 2 failed, using stage 1 result');
-        res.json({ 
-          success: true, 
-          recipe: initialRecipe,
-          source: 'gemini-stage1'
+      };
+      
+      let { recipe: finalRecipe, source } = await generateRecipe();
+      
+      // Never hand back a recipe that breaks the device's exclusions: regenerate once,
+      // and treat a second failure as an upstream one
+      let violations = findExclusionViolations(finalRecipe, excludedIngredients);
+      if (violations.length > 0) {
+        console.log(`Generated recipe for device ${deviceId} used excluded ingredients, regenerating:`, violations);
+        ({ recipe: finalRecipe, source } = await generateRecipe(exclusionCorrections(violations), rejectedIngredients(violations)));
+        violations = findExclusionViolations(finalRecipe, excludedIngredients);
+      }
+      if (violations.length > 0) {
+        console.error(`Regenerated recipe for device ${deviceId} still used excluded ingredients:`, violations);
+        return res.status(502).json({
+          error: 'Generated recipe contained excluded ingredients. Please try again.',
+          source: llm.name,
+          exclusionViolations: violations
         });
       }
       
+      // Scale to the requested servings; the model picks its own batch size
+      const generatedServings = parseInt(finalRecipe.servings) || 4;
+      if (requestedServings && requestedServings !== generatedServings && Array.isArray(finalRecipe.ingredients)) {
+        finalRecipe.ingredients = scaleIngredientLines(finalRecipe.ingredients, requestedServings / generatedServings);
+        finalRecipe.servings = requestedServings;
+        finalRecipe.scaledFrom = generatedServings;
+        if (finalRecipe.nutrition) {
+          Object.assign(finalRecipe, scaledNutrition(finalRecipe.nutrition, requestedServings));
+        }
+      }
+      
+      // Stage the recipe so ratings on its ID reach the server
+      const stagedRecipe = await stageGeneratedRecipe(finalRecipe, {
+        source: 'generate',
+        promptVersion: prompt ? 'client' : GENERATE_PROMPT_VERSION,
+        inputs: { ...providerInputs, dietaryRestrictions, spicePacks, prompt: prompt || null },
+        reviewed: source === `${llm.name}-2stage`,
+        deviceId
+      });
+      
+      res.json({ 
+        success: true, 
+        recipe: stagedRecipe,
+        source
+      });
+      
     } catch (apiError) {
-      console.error('Recipe generation error:', apiError.response?.data || apiError.message);
+      console.error('Recipe generation error:', apiError.message);
       
       // Don't expose the actual error to the client
-      res.status(500).json({ 
+      // The model not producing a valid recipe is an upstream failure, not a server bug
+      if (apiError instanceof RecipeValidationError) {
+        return res.status(502).json({
+          error: 'Could not generate a complete recipe. Please try again.',
+          source: llm.name,
+          validationErrors: apiError.errors
+        });
+      }
+      if (apiError.code === 'circuit-open') {
+        return res.status(503).json({
+          error: 'Recipe generation is temporarily unavailable. Please try again shortly.',
+          source: llm.name
+        });
+      }
+      if (apiError.code === 'deadline-exceeded') {
+        return res.status(504).json({
+          error: 'Recipe generation took too long. Please try again.',
+          source: llm.name
+        });
+      }
+      res.status(isProviderError(apiError) ? 502 : 500).json({ 
         error: 'Failed to generate recipe. Please try again.',
-        source: 'gemini'
+        source: llm.name
       });
     }
     
@@ -1680,8 +3522,17 @@ app.post('/api/user-rating', async (req, res) => {
       return res.status(400).json({ error: 'Rating must be between 1 and 5' });
     }
     
+    const target = await resolveRecipeId(recipeId);
+    
+    // Generated recipes keep their ratings with the staged recipe
+    if (target && target.type === 'generated') {
+      const saved = await rateGeneratedRecipe(target.id, deviceId, rating);
+      console.log(`User ${deviceId} rated generated recipe ${target.id} with ${rating} stars`);
+      return res.json({ success: true, rating: saved });
+    }
+    
     // For community recipes (numeric IDs), save to recipe_views
-    if (!isNaN(recipeId)) {
+    if (target) {
       try {
         const query = `
           INSERT INTO recipe_views (recipe_id, device_id, rating, viewed_at)
@@ -1691,8 +3542,8 @@ app.post('/api/user-rating', async (req, res) => {
           RETURNING *
         `;
         
-        const result = await pool.query(query, [parseInt(recipeId), deviceId, rating]);
-        console.log(`User ${deviceId} rated recipe ${recipeId} with ${rating} stars`);
+        const result = await pool.query(query, [target.id, deviceId, rating]);
+        console.log(`User ${deviceId} rated recipe ${target.id} with ${rating} stars`);
         
         // Update recipe statistics
         const statsQuery = `
@@ -1709,7 +3560,8 @@ app.post('/api/user-rating', async (req, res) => {
           )
           WHERE id = $1
         `;
-        await pool.query(statsQuery, [parseInt(recipeId)]);
+        await pool.query(statsQuery, [target.id]);
+        await invalidateMatchCacheForRecipe(target.id);
         
         res.json({ success: true, rating: result.rows[0] });
       } catch (error) {
@@ -1719,7 +3571,7 @@ app.post('/api/user-rating', async (req, res) => {
         res.json({ success: true, message: 'Rating saved locally' });
       }
     } else {
-      // For AI-generated recipes, we'll store them in a separate table or just return success
+      // IDs the server never issued (made up by older apps) can't be stored
       console.log(`User ${deviceId} rated AI recipe "${recipeTitle || recipeId}" with ${rating} stars`);
       res.json({ success: true, message: 'Rating saved locally' });
     }
@@ -1735,17 +3587,18 @@ app.get('/api/user-rating/:recipeId/:deviceId', async (req, res) => {
   try {
     const { recipeId, deviceId } = req.params;
     
-    // Only check database for numeric recipe IDs (community recipes)
-    if (isNaN(recipeId)) {
+    // Only IDs the server issued have stored ratings
+    const target = await resolveRecipeId(recipeId);
+    if (!target) {
       return res.json({ rating: null });
     }
     
     const query = `
-      SELECT rating FROM recipe_views 
+      SELECT rating FROM ${viewsTable(target)} 
       WHERE recipe_id = $1 AND device_id = $2
     `;
     
-    const result = await pool.query(query, [recipeId, deviceId]);
+    const result = await pool.query(query, [target.id, deviceId]);
     
     if (result.rows.length > 0 && result.rows[0].rating) {
       res.json({ rating: result.rows[0].rating });
@@ -1768,20 +3621,28 @@ app.post('/api/user-ratings', async (req, res) => {
       return res.status(400).json({ error: 'Recipe IDs array and device ID are required' });
     }
     
-    // Filter only numeric IDs (community recipes)
-    const numericIds = recipeIds.filter(id => !isNaN(id));
+    // Numeric IDs are community recipes; "gen-" IDs are generated recipes, whose
+    // ratings live with the database recipe once they have been promoted
+    const numericIds = recipeIds.filter(id => /^\d+$/.test(String(id)));
+    const generatedIds = recipeIds.filter(id => GENERATED_RECIPE_ID_PATTERN.test(String(id)));
     
-    if (numericIds.length === 0) {
+    if (numericIds.length === 0 && generatedIds.length === 0) {
       return res.json({ ratings: {} });
     }
     
     const query = `
-      SELECT recipe_id, rating 
+      SELECT recipe_id::text, rating 
       FROM recipe_views 
-      WHERE recipe_id = ANY($1) AND device_id = $2 AND rating IS NOT NULL
+      WHERE recipe_id = ANY($1::int[]) AND device_id = $2 AND rating IS NOT NULL
+      UNION ALL
+      SELECT g.id, COALESCE(rv.rating, gv.rating)
+      FROM generated_recipes g
+      LEFT JOIN generated_recipe_views gv ON gv.recipe_id = g.id AND gv.device_id = $2
+      LEFT JOIN recipe_views rv ON rv.recipe_id = g.promoted_recipe_id AND rv.device_id = $2
+      WHERE g.id = ANY($3::text[]) AND COALESCE(rv.rating, gv.rating) IS NOT NULL
     `;
     
-    const result = await pool.query(query, [numericIds, deviceId]);
+    const result = await pool.query(query, [numericIds.map(Number), deviceId, generatedIds]);
     
     // Convert to object for easy lookup
     const ratings = {};
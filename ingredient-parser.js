@@ -0,0 +1,149 @@
+// Ingredient line parser.
+// Turns recipe lines like "1 1/2 cups rice", "½ cup milk", "2-3 cloves garlic, minced",
+// "1 (14 oz) can diced tomatoes", "1 can (14 oz) coconut milk" or "salt to taste"
+// into structured parts.
+// Gemini writes ingredients in all of these forms; fixtures/gemini-ingredients.json
+// collects lines in the shapes it produces, with the expected result for each.
+const { parseAmount } = require('./units');
+
+const UNICODE_FRACTIONS = {
+  '½': '1/2', '⅓': '1/3', '⅔': '2/3', '¼': '1/4', '¾': '3/4',
+  '⅕': '1/5', '⅖': '2/5', '⅗': '3/5', '⅘': '4/5', '⅙': '1/6', '⅚': '5/6',
+  '⅛': '1/8', '⅜': '3/8', '⅝': '5/8', '⅞': '7/8'
+};
+
+// Unit spellings we recognise, longest first so "fl oz" wins over "oz"
+const UNIT_WORDS = [
+  'fluid ounces', 'fluid ounce', 'fl oz',
+  'tablespoons', 'tablespoon', 'tbsp', 'tbs',
+  'teaspoons', 'teaspoon', 'tsp',
+  'cups', 'cup',
+  'pounds', 'pound', 'lbs', 'lb',
+  'ounces', 'ounce', 'oz',
+  'kilograms', 'kilogram', 'kg',
+  'grams', 'gram', 'g',
+  'milliliters', 'milliliter', 'millilitres', 'millilitre', 'ml',
+  'liters', 'liter', 'litres', 'litre', 'l',
+  'pints', 'pint', 'quarts', 'quart', 'gallons', 'gallon',
+  'pieces', 'piece', 'cloves', 'clove', 'cans', 'can', 'jars', 'jar',
+  'packages', 'package', 'bunches', 'bunch', 'pinches', 'pinch', 'dashes', 'dash',
+  'handfuls', 'handful', 'slices', 'slice', 'stalks', 'stalk', 'sprigs', 'sprig',
+  'heads', 'head', 'sticks', 'stick', 'dozen',
+  'inch pieces', 'inch piece', 'inches', 'inch'
+];
+
+// Words that can sit before a comma inside a name ("boneless, skinless chicken")
+const LEADING_DESCRIPTORS = ['boneless', 'skinless', 'bone-in', 'skin-on', 'seedless', 'peeled', 'unsalted', 'salted', 'lean'];
+
+const NUMBER = '\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d+(?:\\.\\d+)?';
+const UNIT = UNIT_WORDS.map(word => word.replace(' ', '\\s+')).join('|');
+
+const AMOUNT_PATTERN = new RegExp(`^(${NUMBER})(?:\\s*(?:-|to)\\s*(${NUMBER}))?\\s*`, 'i');
+const ARTICLE_PATTERN = /^(?:a|an|one)\s+(?=\w)/i;
+const PACKAGE_SIZE_PATTERN = new RegExp(`^\\(\\s*(${NUMBER})\\s*-?\\s*(${UNIT})\\.?\\s*(?:each\\s*)?\\)\\s*`, 'i');
+const UNIT_PATTERN = new RegExp(`^-?(${UNIT})\\b\\.?\\s*(?:of\\s+)?`, 'i');
+const SIZE_PATTERN = /^(extra[-\s]large|large|medium|small)\b\s*/i;
+const NOTE_PATTERN = /(?:,\s*|\s+)\(?(to taste|as needed|optional|(?:plus more\s+)?for (?:garnish|serving|frying|greasing)|plus more)\)?\s*$/i;
+
+function normalizeText(text) {
+  return String(text)
+    .replace(/(\d)\s*([½⅓⅔¼¾⅕⅖⅗⅘⅙⅚⅛⅜⅝⅞])/g, (_, digit, fraction) => `${digit} ${UNICODE_FRACTIONS[fraction]}`)
+    .replace(/[½⅓⅔¼¾⅕⅖⅗⅘⅙⅚⅛⅜⅝⅞]/g, fraction => UNICODE_FRACTIONS[fraction])
+    .replace(/⁄/g, '/')
+    .replace(/[–—]/g, '-')
+    .replace(/^[-•*]\s*/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Parse one ingredient line. `amount` is null when the line has no quantity
+// ("salt to taste"); for ranges ("2-3 cloves") it is the lower bound and
+// `amountMax` the upper one.
+function parseIngredient(ingredientStr) {
+  let rest = normalizeText(ingredientStr);
+  const parsed = {
+    amount: null,
+    amountMax: null,
+    unit: null,
+    name: rest,
+    preparation: null,
+    size: null,
+    packageSize: null,
+    note: null
+  };
+
+  const note = rest.match(NOTE_PATTERN);
+  if (note) {
+    parsed.note = note[1].toLowerCase();
+    rest = rest.slice(0, note.index).trim();
+  }
+
+  // Everything after the first comma outside parentheses is preparation ("minced", "drained")
+  let depth = 0;
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === '(') depth++;
+    if (rest[i] === ')') depth = Math.max(0, depth - 1);
+    const wordBefore = rest.slice(0, i).split(' ').pop().toLowerCase();
+    if (rest[i] === ',' && depth === 0 && !LEADING_DESCRIPTORS.includes(wordBefore)) {
+      parsed.preparation = rest.slice(i + 1).trim() || null;
+      rest = rest.slice(0, i).trim();
+      break;
+    }
+  }
+
+  const amount = rest.match(AMOUNT_PATTERN);
+  if (amount) {
+    parsed.amount = parseAmount(amount[1]);
+    parsed.amountMax = amount[2] ? parseAmount(amount[2]) : null;
+    rest = rest.slice(amount[0].length);
+  } else {
+    const article = rest.match(ARTICLE_PATTERN);
+    // "a pinch of salt" and "an onion" are both one of something
+    if (article) {
+      parsed.amount = 1;
+      rest = rest.slice(article[0].length);
+    }
+  }
+
+  if (parsed.amount !== null) {
+    const packageSize = rest.match(PACKAGE_SIZE_PATTERN);
+    if (packageSize) {
+      parsed.packageSize = { amount: parseAmount(packageSize[1]), unit: packageSize[2].toLowerCase() };
+      rest = rest.slice(packageSize[0].length);
+    }
+
+    const unit = rest.match(UNIT_PATTERN);
+    // A bare "g" or "l" only counts as a unit when something follows it
+    if (unit && rest.length > unit[0].length) {
+      parsed.unit = unit[1].toLowerCase().replace(/\s+/g, ' ');
+      rest = rest.slice(unit[0].length);
+    } else {
+      parsed.unit = 'unit';
+    }
+
+    // The package size can also follow the container ("1 can (14 oz) coconut milk")
+    const trailingPackageSize = parsed.packageSize ? null : rest.match(PACKAGE_SIZE_PATTERN);
+    if (trailingPackageSize) {
+      parsed.packageSize = { amount: parseAmount(trailingPackageSize[1]), unit: trailingPackageSize[2].toLowerCase() };
+      rest = rest.slice(trailingPackageSize[0].length);
+    }
+  }
+
+  const size = rest.match(SIZE_PATTERN);
+  if (size) {
+    parsed.size = size[1].toLowerCase().replace(/\s+/g, '-');
+    rest = rest.slice(size[0].length);
+  }
+
+  // A trailing "(about 2 cups)" or "(chopped)" is a note about the ingredient, not its name
+  const aside = rest.match(/\s*\(([^)]*)\)\s*$/);
+  if (aside && aside.index > 0) {
+    parsed.note = parsed.note || aside[1].trim();
+    rest = rest.slice(0, aside.index);
+  }
+
+  parsed.name = rest.replace(/^of\s+/i, '').trim() || parsed.name;
+  return parsed;
+}
+
+module.exports = { parseIngredient };
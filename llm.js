@@ -0,0 +1,159 @@
+// Recipe generation providers. Every provider has three stages: generate writes a
+// recipe from a prompt, review corrects it and repair fixes output that broke the
+// recipe schema. LLM_PROVIDER picks the provider:
+// "gemini" (default) calls the Gemini API, "fixture" builds recipes locally and
+// deterministically so the AI paths run in development and tests without network access.
+const { createGeminiClient, GeminiError } = require('./gemini');
+
+const DEFAULT_GEMINI_MODELS = { generate: 'gemini-1.5-flash', review: 'gemini-2.0-flash-exp', repair: 'gemini-2.0-flash-exp' };
+
+// Time one client request may spend on generation across every stage, retry,
+// repair and regeneration, so it finishes before typical client timeouts
+const REQUEST_DEADLINE_MS = (parseInt(process.env.LLM_REQUEST_DEADLINE_SECONDS) || 45) * 1000;
+
+// Gemini: a fast model writes the recipe, more accurate ones review and repair it
+function createGeminiProvider({ apiKey, models }) {
+  const client = createGeminiClient({
+    apiKey,
+    maxAttempts: parseInt(process.env.GEMINI_MAX_ATTEMPTS) || 3,
+    failureThreshold: parseInt(process.env.GEMINI_BREAKER_THRESHOLD) || 5,
+    cooldownMs: (parseInt(process.env.GEMINI_BREAKER_COOLDOWN_SECONDS) || 30) * 1000
+  });
+
+  return {
+    name: 'gemini',
+    configured: !!apiKey,
+    models,
+    generate: ({ prompt, deadline }) => client.generateJson({ stage: 'generate', model: models.generate, prompt, temperature: 0.8, deadline }),
+    review: ({ prompt, deadline }) => client.generateJson({ stage: 'review', model: models.review, prompt, temperature: 0.3, deadline }),
+    repair: ({ prompt, deadline }) => client.generateJson({ stage: 'repair', model: models.repair, prompt, temperature: 0.2, deadline }),
+    metrics: () => client.metrics()
+  };
+}
+
+function titleCase(text) {
+  return String(text).replace(/\b\w/g, letter => letter.toUpperCase());
+}
+
+// Whole-word match with an optional plural ending, as the app matches exclusions
+function mentions(text, term) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?:^|[^a-z0-9])(?:${escaped})(?:e?s)?(?:[^a-z0-9]|$)`).test(text.toLowerCase());
+}
+
+// Pantry items the fixture leaves out for a dietary tag
+const DIETARY_CONFLICTS = {
+  vegetarian: ['bacon', 'beef', 'chicken', 'fish sauce', 'ham', 'pork', 'anchovy'],
+  vegan: ['bacon', 'beef', 'chicken', 'fish sauce', 'ham', 'pork', 'anchovy', 'butter', 'cheese', 'cream', 'egg', 'honey', 'milk', 'yogurt'],
+  'dairy-free': ['butter', 'cheese', 'cream', 'milk', 'yogurt'],
+  'gluten-free': ['breadcrumbs', 'flour', 'pasta', 'soy sauce']
+};
+
+// Fixture: the same inputs always give the same recipe. It uses the main ingredients,
+// soonest-expiring first, and up to two pantry items that neither the device's
+// exclusions nor the dietary tags rule out, and stays within any time limits.
+// Main ingredients a previous attempt was rejected for (`rejected`) are left out,
+// so a regeneration fixes what the first attempt got wrong.
+// Review hands the recipe back unchanged; repair rebuilds it from the inputs.
+function fixtureRecipe({
+  ingredients = [], cuisine, dietaryTags = [], availableSpices = '', excludedIngredients = [],
+  constraints = {}, expiries = {}, rejected = [], servings
+}) {
+  const ruledOut = [
+    ...excludedIngredients,
+    ...dietaryTags.flatMap(tag => DIETARY_CONFLICTS[String(tag).toLowerCase()] || [])
+  ].map(name => name.toLowerCase());
+  const rejectedNames = rejected.map(name => name.toLowerCase());
+
+  const daysLeft = name => {
+    const expiry = Object.entries(expiries).find(([expiring]) => mentions(name, expiring));
+    return expiry ? expiry[1].daysLeft : Infinity;
+  };
+  const mains = ingredients
+    .map(String)
+    .filter(name => !rejectedNames.some(term => mentions(name, term)))
+    .sort((a, b) => daysLeft(a) - daysLeft(b));
+  const pantry = String(availableSpices)
+    .split(',')
+    .map(item => item.trim())
+    .filter(item => item && ![...ruledOut, ...rejectedNames].some(term => mentions(item, term)))
+    .slice(0, 2);
+
+  // Prep gets at most half of a total limit so cooking always fits in the rest
+  const totalLimit = constraints.maxTotalMinutes || 30;
+  const prepMinutes = Math.max(1, Math.min(10, constraints.maxPrepMinutes || 10, Math.floor(totalLimit / 2)));
+  const cookMinutes = Math.max(1, Math.min(20, totalLimit - prepMinutes));
+  const dietNote = dietaryTags.length > 0 ? ` (${dietaryTags.join(', ')})` : '';
+
+  return {
+    title: `${titleCase(cuisine || 'simple')} ${titleCase(mains.slice(0, 2).join(' and '))} Skillet`,
+    description: `A quick ${cuisine || 'home-style'} skillet built around ${mains.join(', ')}${dietNote}.`,
+    ingredients: [
+      ...mains.map(name => `1 cup ${name}`),
+      ...pantry.map(item => `1 tsp ${item}`)
+    ],
+    instructions: [
+      `Prepare the ${mains.join(', ')}.`,
+      'Heat a large skillet over medium-high heat.',
+      `Cook everything together${pantry.length > 0 ? ` with the ${pantry.join(' and ')}` : ''} until done.`,
+      'Taste, adjust the seasoning and serve.'
+    ],
+    prepTime: `${prepMinutes} minutes`,
+    cookTime: `${cookMinutes} minutes`,
+    servings: servings || 4,
+    difficulty: 'easy',
+    cuisine: cuisine || 'american',
+    nutrition: {
+      calories: 100 * mains.length + 50,
+      protein: `${5 * mains.length}g`,
+      carbs: `${8 * mains.length}g`,
+      fat: `${3 * mains.length}g`,
+      fiber: `${mains.length}g`
+    }
+  };
+}
+
+function createFixtureProvider() {
+  return {
+    name: 'fixture',
+    configured: true,
+    models: { generate: 'fixture', review: 'fixture', repair: 'fixture' },
+    generate: async ({ inputs }) => fixtureRecipe(inputs),
+    review: async ({ recipe }) => JSON.parse(JSON.stringify(recipe)),
+    repair: async ({ inputs }) => fixtureRecipe(inputs),
+    metrics: () => ({ circuit: null, stages: {} })
+  };
+}
+
+// Stage models come from LLM_GENERATE_MODEL / LLM_REVIEW_MODEL / LLM_REPAIR_MODEL when set
+function createLlmProvider({ provider = process.env.LLM_PROVIDER || 'gemini', apiKey } = {}) {
+  if (provider === 'fixture') {
+    console.log('Using fixture recipe generation (no network calls)');
+    return createFixtureProvider();
+  }
+  if (provider !== 'gemini') {
+    throw new Error(`Unknown LLM_PROVIDER "${provider}" (expected "gemini" or "fixture")`);
+  }
+
+  return createGeminiProvider({
+    apiKey,
+    models: {
+      generate: process.env.LLM_GENERATE_MODEL || DEFAULT_GEMINI_MODELS.generate,
+      review: process.env.LLM_REVIEW_MODEL || DEFAULT_GEMINI_MODELS.review,
+      repair: process.env.LLM_REPAIR_MODEL || DEFAULT_GEMINI_MODELS.repair
+    }
+  });
+}
+
+// Deadline for the generation work of a request that starts now
+function requestDeadline() {
+  return Date.now() + REQUEST_DEADLINE_MS;
+}
+
+// Failures of the provider itself (unavailable, empty or unparseable output), as
+// opposed to bugs in the calling code. Their `code` says which.
+function isProviderError(error) {
+  return error instanceof GeminiError;
+}
+
+module.exports = { createLlmProvider, requestDeadline, isProviderError };
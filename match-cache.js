@@ -0,0 +1,96 @@
+// Match candidate cache.
+// The candidates for a fridge depend only on its ingredients, the match mode and the
+// filters, so they are cached under a key built from those and shared by every device.
+// A device's view history, submissions and excluded ingredients are applied to the
+// cached list afterwards; the device-specific query only runs when that leaves too
+// few candidates for the requested page.
+const crypto = require('crypto');
+
+const MATCH_CACHE_PREFIX = 'match:';
+const MATCH_GENERATION_PREFIX = 'match-gen:';
+
+function matchCacheKey({ matchMode, minCoverage, userIngredients, ingredientCoverage, packIngredients, cuisine, dietaryTags, constraints }) {
+  // Taxonomy coverage can be long ("any vegetables"), so the key carries a digest of it
+  const coverage = userIngredients
+    .map(name => `${name}=${[...ingredientCoverage[name]].sort().join('|')}`)
+    .sort()
+    .join(',');
+
+  return MATCH_CACHE_PREFIX + [
+    matchMode,
+    matchMode === 'partial' ? minCoverage : '',
+    [...userIngredients].sort().join(','),
+    crypto.createHash('sha1').update(coverage).digest('hex').slice(0, 12),
+    [...packIngredients].sort().join(','),
+    (cuisine || '').toLowerCase(),
+    [...dietaryTags].sort().join(','),
+    constraints.maxTotalMinutes || '',
+    constraints.maxPrepMinutes || '',
+    constraints.difficulty || ''
+  ].join(':');
+}
+
+// `findCandidates(criteria)` runs the ranked candidate query and returns at most
+// `maxCandidates` rows, leaving out what the device can't see when criteria has a
+// deviceId. `findVisibleIds(ids, criteria)` returns the Set of those ids the
+// criteria's device may be shown.
+function createMatchCandidateCache({ cache, findCandidates, findVisibleIds, maxCandidates }) {
+  // Each ingredient has a generation counter that is bumped whenever a recipe using it
+  // is saved or rated. A cached entry is only fresh while the counters of all its
+  // ingredients are unchanged.
+  async function generationsFor(ingredients) {
+    const stored = await cache.mget(ingredients.map(ing => MATCH_GENERATION_PREFIX + ing));
+    const generations = {};
+    ingredients.forEach(ing => {
+      generations[ing] = stored[MATCH_GENERATION_PREFIX + ing] || 0;
+    });
+    return generations;
+  }
+
+  async function cachedCandidates(cacheKey, ingredients) {
+    const entry = await cache.get(cacheKey);
+    if (!entry) return null;
+
+    const current = await generationsFor(ingredients);
+    const fresh = ingredients.every(ing => current[ing] === entry.generations[ing]);
+    return fresh ? entry.candidates : null;
+  }
+
+  async function sharedCandidates(criteria) {
+    const cacheKey = matchCacheKey(criteria);
+    const cached = await cachedCandidates(cacheKey, criteria.coveredIngredients);
+    if (cached) return { candidates: cached, cacheKey, fromCache: true };
+
+    // Snapshot generations before querying so a concurrent save marks this entry stale
+    const generations = await generationsFor(criteria.coveredIngredients);
+    const candidates = await findCandidates({ ...criteria, deviceId: null, excludedIngredients: [] });
+    await cache.set(cacheKey, { candidates, generations });
+    return { candidates, cacheKey, fromCache: false };
+  }
+
+  // Candidates for a match request. `isEnough(candidates)` says whether the cached list,
+  // once filtered for the device, still fills the requested page.
+  async function candidatesFor(criteria, isEnough = () => true) {
+    const shared = await sharedCandidates(criteria);
+    if (!criteria.deviceId) return shared;
+
+    const visibleIds = await findVisibleIds(shared.candidates.map(candidate => candidate.id), criteria);
+    const candidates = shared.candidates.filter(candidate => visibleIds.has(candidate.id));
+    // A full list was cut off at maxCandidates, so recipes this device hasn't seen
+    // may lie beyond it
+    if (shared.candidates.length < maxCandidates || isEnough(candidates)) {
+      return { ...shared, candidates };
+    }
+    return { candidates: await findCandidates(criteria), cacheKey: shared.cacheKey, fromCache: false };
+  }
+
+  async function invalidate(ingredientNames) {
+    for (const name of new Set(ingredientNames.map(name => name.toLowerCase()))) {
+      await cache.incr(MATCH_GENERATION_PREFIX + name);
+    }
+  }
+
+  return { candidatesFor, invalidate };
+}
+
+module.exports = { createMatchCandidateCache };
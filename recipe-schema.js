@@ -0,0 +1,94 @@
+// Schema for AI-generated recipes. Model output is checked against it before it
+// reaches a client; validateRecipe lists every problem so the model can be asked
+// to fix exactly those.
+
+// Difficulty levels from easiest to hardest
+const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+const NUTRITION_GRAMS = ['protein', 'carbs', 'fat', 'fiber'];
+
+// Parse "30 minutes", "1 hour 15 minutes", "45" or 45 into minutes; null if unknown
+function parseTimeToMinutes(timeStr) {
+  if (timeStr === null || timeStr === undefined || timeStr === '') return null;
+  if (typeof timeStr === 'number') return timeStr;
+
+  const str = String(timeStr);
+  const num = parseInt(str);
+  if (!isNaN(num) && str.trim() === num.toString()) return num;
+
+  // Decimal amounts are read whole, so "1.5 hours" is 90 minutes, not 5 hours
+  const hours = str.match(/(\d+(?:\.\d+)?)\s*h/i);
+  const minutes = str.match(/(\d+(?:\.\d+)?)\s*m/i);
+  if (!hours && !minutes) return null;
+  return Math.round((hours ? parseFloat(hours[1]) * 60 : 0) + (minutes ? parseFloat(minutes[1]) : 0));
+}
+
+function isText(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+function checkTextList(errors, recipe, field) {
+  const list = recipe[field];
+  if (!Array.isArray(list) || list.length === 0) {
+    errors.push(`${field} must be a non-empty array of strings`);
+    return;
+  }
+  list.forEach((item, index) => {
+    if (!isText(item)) errors.push(`${field}[${index}] must be a non-empty string, got ${JSON.stringify(item)}`);
+  });
+}
+
+// Calories as a number ("350" is accepted); protein, carbs, fat and fiber as grams ("25g" or 25)
+function checkNutrition(errors, nutrition) {
+  if (!nutrition || typeof nutrition !== 'object' || Array.isArray(nutrition)) {
+    errors.push('nutrition must be an object with calories, protein, carbs, fat and fiber');
+    return;
+  }
+  if (!(Number(nutrition.calories) > 0)) {
+    errors.push(`nutrition.calories must be a positive number, got ${JSON.stringify(nutrition.calories)}`);
+  }
+  for (const field of NUTRITION_GRAMS) {
+    const value = nutrition[field];
+    const valid = typeof value === 'number' ? value >= 0 : /^\d+(\.\d+)?\s*g$/i.test(String(value ?? '').trim());
+    if (!valid) errors.push(`nutrition.${field} must be grams like "25g", got ${JSON.stringify(value)}`);
+  }
+}
+
+// Every problem with a generated recipe, as messages the model can act on. Empty when valid.
+function validateRecipe(recipe) {
+  if (!recipe || typeof recipe !== 'object' || Array.isArray(recipe)) {
+    return ['the recipe must be a JSON object'];
+  }
+
+  const errors = [];
+  for (const field of ['title', 'description', 'cuisine']) {
+    if (!isText(recipe[field])) errors.push(`${field} must be a non-empty string`);
+  }
+  checkTextList(errors, recipe, 'ingredients');
+  checkTextList(errors, recipe, 'instructions');
+
+  for (const field of ['prepTime', 'cookTime']) {
+    const minutes = parseTimeToMinutes(recipe[field]);
+    if (minutes === null || minutes < 0) {
+      errors.push(`${field} must be a duration like "20 minutes", got ${JSON.stringify(recipe[field])}`);
+    }
+  }
+  if (!(parseInt(recipe.servings) >= 1)) {
+    errors.push(`servings must be a whole number of at least 1, got ${JSON.stringify(recipe.servings)}`);
+  }
+  if (!DIFFICULTY_LEVELS.includes(String(recipe.difficulty).toLowerCase())) {
+    errors.push(`difficulty must be one of ${DIFFICULTY_LEVELS.join(', ')}, got ${JSON.stringify(recipe.difficulty)}`);
+  }
+  checkNutrition(errors, recipe.nutrition);
+  return errors;
+}
+
+// A generated recipe still broke the schema after every repair attempt
+class RecipeValidationError extends Error {
+  constructor(errors) {
+    super(`Generated recipe is invalid: ${errors.join('; ')}`);
+    this.name = 'RecipeValidationError';
+    this.errors = errors;
+  }
+}
+
+module.exports = { DIFFICULTY_LEVELS, parseTimeToMinutes, validateRecipe, RecipeValidationError };
@@ -0,0 +1,67 @@
+// Checks the recipe generation stages with LLM_PROVIDER=fixture: every recipe must
+// pass the recipe schema and follow the request's limits, exclusions, dietary tags,
+// expiries and rejected ingredients. Needs no API key, database or network access.
+process.env.LLM_PROVIDER = 'fixture';
+const { createLlmProvider } = require('../llm');
+const { parseTimeToMinutes, validateRecipe } = require('../recipe-schema');
+
+const llm = createLlmProvider();
+
+const BASE_INPUTS = {
+  ingredients: ['chicken', 'rice'],
+  cuisine: 'thai',
+  dietaryTags: [],
+  availableSpices: 'salt, pepper, garlic',
+  excludedIngredients: [],
+  constraints: {},
+  expiries: {},
+  rejected: []
+};
+
+const totalMinutes = recipe => parseTimeToMinutes(recipe.prepTime) + parseTimeToMinutes(recipe.cookTime);
+const hasLine = (recipe, line) => recipe.ingredients.includes(line);
+
+// [description, input overrides, check on the generated recipe]
+const CASES = [
+  ['recipe passes the schema', {}, recipe => validateRecipe(recipe).length === 0],
+  ['total time fits a tight limit', { constraints: { maxTotalMinutes: 10 } }, recipe => totalMinutes(recipe) <= 10],
+  ['prep time fits its limit', { constraints: { maxPrepMinutes: 3, maxTotalMinutes: 60 } },
+    recipe => parseTimeToMinutes(recipe.prepTime) <= 3],
+  ['excluded pantry items are left out, lookalikes kept',
+    { availableSpices: 'ham, graham crackers, salt', excludedIngredients: ['ham'] },
+    recipe => !hasLine(recipe, '1 tsp ham') && hasLine(recipe, '1 tsp graham crackers')],
+  ['dietary tags rule out pantry items', { availableSpices: 'butter, salt', dietaryTags: ['vegan'] },
+    recipe => !hasLine(recipe, '1 tsp butter') && hasLine(recipe, '1 tsp salt')],
+  ['soonest-expiring ingredient leads', { expiries: { rice: { daysLeft: 1 }, chicken: { daysLeft: 5 } } },
+    recipe => recipe.ingredients[0] === '1 cup rice'],
+  ['rejected ingredients are dropped on regeneration',
+    { ingredients: ['ham', 'rice'], rejected: ['ham'] },
+    recipe => !hasLine(recipe, '1 cup ham') && hasLine(recipe, '1 cup rice')]
+];
+
+async function checkFixtureGeneration() {
+  let failures = 0;
+  for (const [description, overrides, check] of CASES) {
+    const inputs = { ...BASE_INPUTS, ...overrides };
+    const recipe = await llm.generate({ prompt: '', inputs });
+    const reviewed = await llm.review({ prompt: '', recipe, inputs });
+    const repaired = await llm.repair({ prompt: '', recipe, errors: [], inputs });
+    if (!check(recipe) || !check(reviewed) || !check(repaired)) {
+      failures++;
+      console.error(`✗ ${description}: got ${JSON.stringify(recipe)}`);
+    } else {
+      console.log(`✓ ${description}`);
+    }
+  }
+
+  if (failures > 0) {
+    console.error(`\n${failures} of ${CASES.length} fixture generation cases failed`);
+    process.exit(1);
+  }
+  console.log(`\nAll ${CASES.length} fixture generation cases passed`);
+}
+
+checkFixtureGeneration().catch((error) => {
+  console.error('Fixture generation check failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,52 @@
+// Checks parseIngredient against every case in fixtures/gemini-ingredients.json,
+// the ingredient lines Gemini produces with the parse expected for each, and that
+// the units it reads can be stored in canonical units.
+const assert = require('assert');
+const { parseIngredient } = require('../ingredient-parser');
+const { normalizeQuantity } = require('../units');
+const fixtures = require('../fixtures/gemini-ingredients.json');
+
+// [input, expected name, expected stored quantity]. A package size is stored as the
+// total amount ("1 can (14 oz)" is 14 oz), as index.js storedQuantity does.
+const STORED_CASES = [
+  ['2 tbs butter', 'butter', { amount: 29.57, unit: 'ml' }],
+  ['1 tbsp. olive oil', 'olive oil', { amount: 14.79, unit: 'ml' }],
+  ['1 (14 oz) can coconut milk', 'coconut milk', { amount: 396.89, unit: 'g' }],
+  ['1 can (14 oz) coconut milk', 'coconut milk', { amount: 396.89, unit: 'g' }]
+];
+
+function storedQuantity({ amount, unit, packageSize }) {
+  return packageSize ? normalizeQuantity(amount * packageSize.amount, packageSize.unit) : normalizeQuantity(amount, unit);
+}
+
+let failures = 0;
+for (const { input, expected } of fixtures) {
+  try {
+    assert.deepStrictEqual(parseIngredient(input), expected);
+  } catch (error) {
+    failures++;
+    console.error(`✗ ${JSON.stringify(input)}`);
+    console.error(`  expected ${JSON.stringify(expected)}`);
+    console.error(`  got      ${JSON.stringify(error.actual)}`);
+  }
+}
+
+for (const [input, name, stored] of STORED_CASES) {
+  const parsed = parseIngredient(input);
+  const actual = { name: parsed.name, stored: storedQuantity(parsed) };
+  try {
+    assert.deepStrictEqual(actual, { name, stored });
+  } catch (error) {
+    failures++;
+    console.error(`✗ ${JSON.stringify(input)}`);
+    console.error(`  expected ${JSON.stringify({ name, stored })}`);
+    console.error(`  got      ${JSON.stringify(actual)}`);
+  }
+}
+
+const total = fixtures.length + STORED_CASES.length;
+if (failures > 0) {
+  console.error(`\n${failures} of ${total} ingredient lines parsed differently than expected`);
+  process.exit(1);
+}
+console.log(`All ${total} ingredient lines parsed as expected`);
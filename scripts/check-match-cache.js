@@ -0,0 +1,99 @@
+// Checks the match candidate cache in match-cache.js: devices asking about the same
+// fridge share one cached candidate list, and each still has its own view history
+// applied. The queries are stand-ins over an inline recipe list, so it needs no
+// database or network access.
+delete process.env.REDIS_URL;
+const assert = require('assert');
+const { createCache } = require('../cache');
+const { createMatchCandidateCache } = require('../match-cache');
+
+const RECIPE_IDS = [1, 2, 3, 4, 5];
+// Recipes each device's view history hides
+const HIDDEN = { 'device-a': [1], 'device-b': [2, 3] };
+
+const CRITERIA = {
+  matchMode: 'partial',
+  minCoverage: 0.5,
+  userIngredients: ['chicken', 'rice'],
+  ingredientCoverage: { chicken: ['chicken'], rice: ['rice'] },
+  coveredIngredients: ['chicken', 'rice'],
+  packIngredients: [],
+  cuisine: null,
+  dietaryTags: [],
+  constraints: {},
+  excludedIngredients: []
+};
+
+function createChecked(maxCandidates) {
+  const queries = [];
+  const visible = (ids, deviceId) => ids.filter(id => !(HIDDEN[deviceId] || []).includes(id));
+  const matchCandidateCache = createMatchCandidateCache({
+    cache: createCache({ stdTTL: 60 }),
+    findCandidates: async ({ deviceId }) => {
+      queries.push(deviceId ? `candidates for ${deviceId}` : 'shared candidates');
+      return visible(RECIPE_IDS, deviceId).slice(0, maxCandidates).map(id => ({ id }));
+    },
+    findVisibleIds: async (ids, { deviceId }) => new Set(visible(ids, deviceId)),
+    maxCandidates
+  });
+  return { matchCandidateCache, queries };
+}
+
+const ids = result => result.candidates.map(candidate => candidate.id);
+
+async function checkMatchCache() {
+  const results = [];
+  const check = (description, actual, expected) => results.push({ description, actual, expected });
+
+  {
+    const { matchCandidateCache, queries } = createChecked(200);
+    const first = await matchCandidateCache.candidatesFor({ ...CRITERIA, deviceId: 'device-a' });
+    check('first device queries the database and its viewed recipe is left out',
+      { fromCache: first.fromCache, ids: ids(first), queries: [...queries] },
+      { fromCache: false, ids: [2, 3, 4, 5], queries: ['shared candidates'] });
+
+    const second = await matchCandidateCache.candidatesFor({ ...CRITERIA, deviceId: 'device-b' });
+    check('second device for the same fridge is served from cache with its own viewed recipes left out',
+      { fromCache: second.fromCache, ids: ids(second), queries: [...queries] },
+      { fromCache: true, ids: [1, 4, 5], queries: ['shared candidates'] });
+
+    await matchCandidateCache.invalidate(['Rice']);
+    const afterSave = await matchCandidateCache.candidatesFor({ ...CRITERIA, deviceId: 'device-b' });
+    check('a saved recipe using one of the ingredients makes the entry stale',
+      { fromCache: afterSave.fromCache, queries: [...queries] },
+      { fromCache: false, queries: ['shared candidates', 'shared candidates'] });
+  }
+
+  {
+    // The cached list is cut off at 3 recipes, so device-b sees only one of them
+    const { matchCandidateCache, queries } = createChecked(3);
+    const result = await matchCandidateCache.candidatesFor({ ...CRITERIA, deviceId: 'device-b' }, rows => rows.length > 2);
+    check('a cut-off list that runs out for the device falls back to the device query',
+      { fromCache: result.fromCache, ids: ids(result), queries: [...queries] },
+      { fromCache: false, ids: [1, 4, 5], queries: ['shared candidates', 'candidates for device-b'] });
+  }
+
+  let failures = 0;
+  for (const { description, actual, expected } of results) {
+    try {
+      assert.deepStrictEqual(actual, expected);
+      console.log(`✓ ${description}`);
+    } catch (error) {
+      failures++;
+      console.error(`✗ ${description}`);
+      console.error(`  expected ${JSON.stringify(expected)}`);
+      console.error(`  got      ${JSON.stringify(actual)}`);
+    }
+  }
+
+  if (failures > 0) {
+    console.error(`\n${failures} of ${results.length} match cache cases failed`);
+    process.exit(1);
+  }
+  console.log(`\nAll ${results.length} match cache cases passed`);
+}
+
+checkMatchCache().catch((error) => {
+  console.error('Match cache check failed:', error.message);
+  process.exit(1);
+});
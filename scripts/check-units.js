@@ -0,0 +1,69 @@
+// Checks the quantity handling in units.js: scaling recipe amounts and comparing
+// what the user has with what a recipe needs. Needs no database or network access.
+const assert = require('assert');
+const { assessQuantities, scaleQuantity, formatIngredient } = require('../units');
+
+// Scale a stored ingredient and show it in its own unit, as GET /api/recipes/:id does
+function scaled({ amount, unit, name }, factor) {
+  return formatIngredient({ ...scaleQuantity(amount, unit, factor), name });
+}
+
+// Run assessQuantities for one user ingredient standing in for the given recipe ingredients
+function assess(userName, have, recipeIngredients, covers = recipeIngredients.map(ing => ing.name)) {
+  return assessQuantities(recipeIngredients, { [userName]: have }, { [userName]: [userName, ...covers] });
+}
+
+function summary({ enough, fraction, uncomparable }) {
+  return { enough, fraction, uncomparable };
+}
+
+// [description, actual, expected]
+const CASES = [
+  ['halving 2 cups', scaled({ amount: '2', unit: 'cups', name: 'rice' }, 0.5), '1 cup rice'],
+  ['halving 2 cloves', scaled({ amount: '2', unit: 'cloves', name: 'garlic' }, 0.5), '1 clove garlic'],
+  ['halving 3 eggs', scaled({ amount: '3', unit: 'unit', name: 'eggs' }, 0.5), '2 eggs'],
+  ['quartering 1 egg', scaled({ amount: '1', unit: 'unit', name: 'egg' }, 0.25), '1 egg'],
+  ['chicken breasts by count against chicken thighs by weight',
+    summary(assess('chicken breast', { amount: 2, unit: 'unit' }, [{ name: 'chicken thigh', amount: '2', unit: 'lb' }])),
+    { enough: false, fraction: 0.39, uncomparable: [] }],
+  ['eggs by count against eggs by weight',
+    summary(assess('egg', { amount: 6, unit: 'unit' }, [{ name: 'eggs', amount: '100', unit: 'g' }])),
+    { enough: true, fraction: 1, uncomparable: [] }],
+  ['an onion by count against onions by weight',
+    summary(assess('onion', { amount: 1, unit: 'unit' }, [{ name: 'onion', amount: '300', unit: 'g' }])),
+    { enough: false, fraction: 0.5, uncomparable: [] }],
+  ['a count with no known item weight against a weight',
+    summary(assess('zucchini', { amount: 2, unit: 'unit' }, [{ name: 'zucchini', amount: '1', unit: 'lb' }])),
+    { enough: null, fraction: null, uncomparable: ['zucchini'] }],
+  ['an unknown unit against a volume',
+    summary(assess('thyme', { amount: 3, unit: 'sprig' }, [{ name: 'thyme', amount: '1', unit: 'tbsp' }])),
+    { enough: null, fraction: null, uncomparable: ['thyme'] }],
+  ['one comparable and one uncomparable ingredient',
+    summary(assess('rice', { amount: 4, unit: 'cup' }, [
+      { name: 'rice', amount: '1', unit: 'cup' },
+      { name: 'wild rice', amount: '2', unit: 'sprig' }
+    ])),
+    { enough: null, fraction: null, uncomparable: ['wild rice'] }],
+  ['volumes in different units',
+    summary(assess('rice', { amount: 2, unit: 'cup' }, [{ name: 'rice', amount: '8', unit: 'tbsp' }])),
+    { enough: true, fraction: 1, uncomparable: [] }]
+];
+
+let failures = 0;
+for (const [description, actual, expected] of CASES) {
+  try {
+    assert.deepStrictEqual(actual, expected);
+    console.log(`✓ ${description}`);
+  } catch (error) {
+    failures++;
+    console.error(`✗ ${description}`);
+    console.error(`  expected ${JSON.stringify(expected)}`);
+    console.error(`  got      ${JSON.stringify(actual)}`);
+  }
+}
+
+if (failures > 0) {
+  console.error(`\n${failures} of ${CASES.length} unit cases failed`);
+  process.exit(1);
+}
+console.log(`\nAll ${CASES.length} unit cases passed`);
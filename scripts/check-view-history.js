@@ -0,0 +1,64 @@
+// Checks the re-show policy in view-history.js against Postgres.
+// Runs hiddenViewCondition over inline view rows, so it needs DATABASE_URL but
+// creates and changes nothing.
+const { Pool } = require('pg');
+require('dotenv').config({ path: __dirname + '/../.env' });
+const { hiddenViewCondition } = require('../view-history');
+
+const RESHOW_AFTER_DAYS = 30;
+const RESHOW_MIN_RATING = 4;
+
+// [description, rating, not interested, days since viewed, days since history reset, expected hidden]
+const CASES = [
+  ['recent unrated view', null, false, 1, null, true],
+  ['old unrated view', null, false, 60, null, true],
+  ['old low-rated view', 2, false, 60, null, true],
+  ['old well-rated view', 5, false, 60, null, false],
+  ['recent well-rated view', 5, false, 1, null, true],
+  ['old well-rated view marked not interested', 5, true, 60, null, true],
+  ['view from before a history reset', null, false, 10, 5, false],
+  ['not interested from before a history reset', null, true, 10, 5, true]
+];
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: { rejectUnauthorized: false }
+});
+
+async function checkViewHistory() {
+  let failures = 0;
+  try {
+    for (const [description, rating, notInterested, viewedDaysAgo, resetDaysAgo, expected] of CASES) {
+      const result = await pool.query(
+        `WITH rv AS (
+           SELECT $1::text AS device_id, $4::int AS rating, $5::boolean AS not_interested,
+                  NOW() - make_interval(days => $6::int) AS viewed_at
+         ), dvr AS (
+           SELECT CASE WHEN $7::int IS NULL THEN NULL ELSE NOW() - make_interval(days => $7::int) END AS reset_at
+         )
+         SELECT ${hiddenViewCondition(2, 3)} AS hidden FROM rv CROSS JOIN dvr`,
+        ['check-device', RESHOW_AFTER_DAYS, RESHOW_MIN_RATING, rating, notInterested, viewedDaysAgo, resetDaysAgo]
+      );
+      const hidden = result.rows[0].hidden === true;
+      if (hidden !== expected) {
+        failures++;
+        console.error(`✗ ${description}: expected ${expected ? 'hidden' : 'shown'}, got ${hidden ? 'hidden' : 'shown'}`);
+      } else {
+        console.log(`✓ ${description}`);
+      }
+    }
+  } finally {
+    pool.end();
+  }
+
+  if (failures > 0) {
+    console.error(`\n${failures} of ${CASES.length} view history cases failed`);
+    process.exit(1);
+  }
+  console.log(`\nAll ${CASES.length} view history cases passed`);
+}
+
+checkViewHistory().catch((error) => {
+  console.error('View history check failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,75 @@
+// One-off migration: convert recipe_ingredients amounts saved before units were
+// normalized (cups, lb, tbsp...) to canonical ml/g/unit, keeping the amount and
+// unit as entered in original_amount/original_unit so nothing is lost.
+// Runs in a single transaction and records itself in schema_migrations, so running
+// it again does nothing.
+const { Pool } = require('pg');
+require('dotenv').config({ path: __dirname + '/../.env' });
+const { normalizeQuantity } = require('../units');
+
+const MIGRATION = 'normalize-recipe-ingredient-units';
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: { rejectUnauthorized: false }
+});
+
+async function normalizeQuantities() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        name VARCHAR(255) PRIMARY KEY,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    // Serialise concurrent runs; the second one sees the marker and stops
+    await client.query('LOCK TABLE schema_migrations IN EXCLUSIVE MODE');
+
+    const applied = await client.query('SELECT applied_at FROM schema_migrations WHERE name = $1', [MIGRATION]);
+    if (applied.rows.length > 0) {
+      console.log(`Migration ${MIGRATION} already applied at ${applied.rows[0].applied_at}, nothing to do`);
+      await client.query('ROLLBACK');
+      return;
+    }
+
+    await client.query('ALTER TABLE recipe_ingredients ADD COLUMN IF NOT EXISTS original_amount TEXT');
+    await client.query('ALTER TABLE recipe_ingredients ADD COLUMN IF NOT EXISTS original_unit TEXT');
+
+    const rows = await client.query(
+      `SELECT recipe_id, ingredient_id, amount, unit FROM recipe_ingredients
+       WHERE unit IS NOT NULL AND original_unit IS NULL`
+    );
+
+    let normalized = 0;
+    for (const row of rows.rows) {
+      const quantity = normalizeQuantity(row.amount, row.unit);
+      await client.query(
+        `UPDATE recipe_ingredients
+         SET original_amount = $1, original_unit = $2, amount = $3, unit = $4
+         WHERE recipe_id = $5 AND ingredient_id = $6 AND unit = $2`,
+        [row.amount === null ? null : String(row.amount), row.unit, quantity.amount, quantity.unit, row.recipe_id, row.ingredient_id]
+      );
+      normalized++;
+    }
+
+    await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [MIGRATION]);
+    await client.query('COMMIT');
+    console.log(`Migration ${MIGRATION} applied: ${normalized} ingredient amounts normalized`);
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Migration failed, nothing was changed:', error.message);
+    throw error;
+  } finally {
+    client.release();
+    pool.end();
+  }
+}
+
+normalizeQuantities().catch(() => {
+  process.exitCode = 1;
+});
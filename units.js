@@ -0,0 +1,334 @@
+// Ingredient amounts and units.
+// Stored amounts use canonical units: ml for volume, g for weight and a plain count
+// for whole items. Anything else ("cloves", "stalks") is kept as its own count unit.
+// Amounts are converted back to metric or imperial units when a recipe is shown.
+
+const CANONICAL_UNITS = { volume: 'ml', weight: 'g', count: 'unit' };
+
+// Factor to the canonical unit of each dimension
+const UNIT_FACTORS = {
+  volume: {
+    ml: 1, milliliter: 1, millilitre: 1,
+    l: 1000, liter: 1000, litre: 1000,
+    tsp: 4.92892, teaspoon: 4.92892,
+    tbsp: 14.7868, tbs: 14.7868, tablespoon: 14.7868,
+    'fl oz': 29.5735, 'fluid ounce': 29.5735,
+    cup: 236.588,
+    pint: 473.176,
+    quart: 946.353,
+    gallon: 3785.41
+  },
+  weight: {
+    g: 1, gram: 1, gramme: 1,
+    kg: 1000, kilogram: 1000,
+    oz: 28.3495, ounce: 28.3495,
+    lb: 453.592, pound: 453.592
+  },
+  count: {
+    '': 1, unit: 1, piece: 1, whole: 1, item: 1, each: 1,
+    pair: 2,
+    dozen: 12
+  }
+};
+
+// Grams per ml, for converting between volume and weight. Looked up by exact
+// ingredient name first, then by the last word ("brown rice" -> "rice"), each
+// also in the singular.
+const DENSITIES = {
+  water: 1,
+  milk: 1.03,
+  cream: 1.01,
+  yogurt: 1.03,
+  broth: 1,
+  stock: 1,
+  oil: 0.92,
+  'olive oil': 0.91,
+  butter: 0.96,
+  honey: 1.42,
+  'maple syrup': 1.32,
+  'soy sauce': 1.2,
+  vinegar: 1.01,
+  flour: 0.53,
+  'all-purpose flour': 0.53,
+  sugar: 0.85,
+  'brown sugar': 0.93,
+  'powdered sugar': 0.56,
+  salt: 1.2,
+  rice: 0.85,
+  oats: 0.34,
+  pasta: 0.42,
+  cheese: 0.45,
+  parmesan: 0.42,
+  'cocoa powder': 0.5,
+  'baking powder': 0.9,
+  'baking soda': 0.92,
+  beans: 0.75,
+  lentils: 0.8,
+  peas: 0.6,
+  corn: 0.65,
+  tomatoes: 0.95,
+  spinach: 0.13
+};
+
+// Grams per whole item, for comparing "2 chicken breasts" with "1 lb chicken".
+// Looked up the same way as DENSITIES.
+const ITEM_WEIGHTS = {
+  'chicken breast': 175,
+  'chicken thigh': 115,
+  egg: 50,
+  onion: 150,
+  potato: 200,
+  tomato: 120,
+  carrot: 60,
+  apple: 180,
+  lemon: 100,
+  'garlic clove': 5
+};
+
+// Parse an amount like "2", "1.5", "1/4" or "1 1/2"; null if it isn't a number
+function parseAmount(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+  const match = String(value).trim().match(/^(?:(\d+(?:\.\d+)?)\s+)?(\d+(?:\.\d+)?)(?:\/(\d+(?:\.\d+)?))?$/);
+  if (!match) return null;
+
+  const whole = match[1] ? parseFloat(match[1]) : 0;
+  const fraction = match[3] ? parseFloat(match[2]) / parseFloat(match[3]) : parseFloat(match[2]);
+  return Number.isFinite(fraction) ? whole + fraction : null;
+}
+
+function cleanUnit(unit) {
+  return String(unit || '').toLowerCase().replace(/\./g, '').replace(/\s+/g, ' ').trim();
+}
+
+function singularUnit(unit) {
+  if (unit === 'lbs') return 'lb';
+  return unit.replace(/(ch|sh)es$/, '$1').replace(/(\w{2})s$/, '$1');
+}
+
+// Work out what a unit measures. Unknown units are counts of their own kind,
+// so "3 cloves" compares with "2 clove" but not with "1 cup".
+function describeUnit(unit) {
+  const cleaned = cleanUnit(unit);
+  for (const name of [cleaned, singularUnit(cleaned)]) {
+    for (const [dimension, factors] of Object.entries(UNIT_FACTORS)) {
+      if (Object.hasOwn(factors, name)) {
+        return { dimension, factor: factors[name], unit: CANONICAL_UNITS[dimension] };
+      }
+    }
+  }
+  return { dimension: `count:${singularUnit(cleaned)}`, factor: 1, unit: cleaned };
+}
+
+function lookupByName(table, ingredientName) {
+  const name = String(ingredientName || '').toLowerCase().trim();
+  const lastWord = name.split(' ').pop();
+  const found = [name, lastWord]
+    .flatMap(key => [key, singularUnit(key), key.replace(/oes$/, 'o')])
+    .find(key => Object.hasOwn(table, key));
+  return found === undefined ? null : table[found];
+}
+
+function densityFor(ingredientName) {
+  return lookupByName(DENSITIES, ingredientName);
+}
+
+function itemWeightFor(ingredientName) {
+  return lookupByName(ITEM_WEIGHTS, ingredientName);
+}
+
+// Convert an amount between units. Volume and weight convert through the
+// ingredient's density, and whole items and weight through its weight per item,
+// when they are known. Returns null when the units can't be compared.
+function convertAmount(amount, fromUnit, toUnit, ingredientName) {
+  const from = describeUnit(fromUnit);
+  const to = describeUnit(toUnit);
+
+  if (from.dimension === to.dimension) {
+    return amount * from.factor / to.factor;
+  }
+
+  const dimensions = [from.dimension, to.dimension].sort().join('-');
+  const ratio = dimensions === 'volume-weight' ? densityFor(ingredientName)
+    : dimensions === 'count-weight' ? itemWeightFor(ingredientName)
+    : null;
+  if (!ratio) return null;
+
+  // The ratio is grams per ml or grams per item
+  const canonical = amount * from.factor;
+  const converted = from.dimension === 'weight' ? canonical / ratio : canonical * ratio;
+  return converted / to.factor;
+}
+
+// Compare what the user has with what a recipe needs. Returns null when the user
+// gave no amounts. `fraction` is how much of the recipe the user can make (capped
+// at 1). When an ingredient's amounts can't be compared (a count against a weight
+// with no known item weight, or an unknown unit) it is listed under `uncomparable`
+// and neither `enough` nor `fraction` is given, since neither is known.
+function assessQuantities(recipeIngredients, userQuantities, ingredientCoverage) {
+  if (Object.keys(userQuantities).length === 0) return null;
+
+  const ingredients = [];
+  for (const ing of recipeIngredients) {
+    const name = ing.name.toLowerCase().trim();
+    // The user's chicken breast counts towards a recipe's chicken thighs
+    const userName = Object.keys(userQuantities).find(candidate => ingredientCoverage[candidate].includes(name));
+    if (!userName) continue;
+
+    // Convert as what the user has, falling back to the recipe's name for densities
+    const have = userQuantities[userName];
+    const needAmount = parseAmount(ing.amount);
+    const haveAmount = needAmount === null ? null
+      : convertAmount(have.amount, have.unit, ing.unit, userName) ?? convertAmount(have.amount, have.unit, ing.unit, name);
+    const comparable = haveAmount !== null && needAmount > 0;
+
+    ingredients.push({
+      name,
+      have: { amount: Math.round(have.amount * 100) / 100, unit: have.unit },
+      need: { amount: needAmount, unit: ing.unit },
+      comparable,
+      fraction: comparable ? Math.round(haveAmount / needAmount * 100) / 100 : null
+    });
+  }
+
+  const uncomparable = ingredients.filter(ing => !ing.comparable).map(ing => ing.name);
+  const fractions = ingredients.filter(ing => ing.comparable).map(ing => ing.fraction);
+  const fraction = uncomparable.length === 0 && fractions.length > 0 ? Math.min(1, ...fractions) : null;
+
+  return {
+    enough: fraction === null ? null : fraction >= 1,
+    fraction,
+    uncomparable,
+    ingredients
+  };
+}
+
+function roundAmount(amount, places = 2) {
+  const scale = 10 ** places;
+  return Math.round(amount * scale) / scale;
+}
+
+// Canonical amount and unit for storing an ingredient
+function normalizeQuantity(amount, unit) {
+  const parsed = parseAmount(amount);
+  if (parsed === null) return { amount, unit };
+
+  const { factor, unit: canonicalUnit } = describeUnit(unit);
+  return { amount: roundAmount(parsed * factor), unit: canonicalUnit };
+}
+
+// Scale an amount for a different number of servings. Bare counts (eggs, lemons)
+// can't be split and are rounded to whole items, never below one; other counted
+// units (cloves, stalks) are rounded to the nearest half, never below a half.
+// Volumes and weights are left for formatIngredient to round to kitchen fractions.
+function scaleQuantity(amount, unit, factor) {
+  const parsed = parseAmount(amount);
+  if (parsed === null) return { amount, unit };
+
+  const scaled = parsed * factor;
+  const { dimension } = describeUnit(unit);
+  if (dimension === 'volume' || dimension === 'weight') {
+    return { amount: scaled, unit };
+  }
+  if (dimension === 'count') {
+    return { amount: Math.max(1, Math.round(scaled)), unit };
+  }
+  return { amount: Math.max(0.5, Math.round(scaled * 2) / 2), unit };
+}
+
+// Kitchen fractions for imperial amounts ("1 1/2 cups" rather than "1.5 cups")
+const FRACTIONS = [[0, ''], [0.25, '1/4'], [1 / 3, '1/3'], [0.5, '1/2'], [2 / 3, '2/3'], [0.75, '3/4'], [1, '']];
+
+function formatFraction(amount) {
+  let whole = Math.floor(amount);
+  const [value, fraction] = FRACTIONS.reduce((best, candidate) =>
+    Math.abs(amount - whole - candidate[0]) < Math.abs(amount - whole - best[0]) ? candidate : best
+  );
+  if (value === 1) whole += 1;
+  if (whole === 0 && !fraction) return formatDecimal(amount);
+  return [whole || '', fraction].filter(Boolean).join(' ');
+}
+
+function formatDecimal(amount) {
+  if (amount >= 10) return String(Math.round(amount));
+  return String(roundAmount(amount, amount >= 1 ? 1 : 2));
+}
+
+// Stored amounts are rounded, so 1 lb comes back as 453.59 g; allow for that
+function reaches(amount, threshold) {
+  return amount >= threshold * 0.99;
+}
+
+// Pick a display unit for a canonical amount
+function displayQuantity(amount, dimension, system) {
+  if (dimension === 'volume') {
+    if (system === 'metric') {
+      return reaches(amount, 1000) ? { amount: amount / 1000, unit: 'l' } : { amount, unit: 'ml' };
+    }
+    if (!reaches(amount, UNIT_FACTORS.volume.tbsp)) return { amount: amount / UNIT_FACTORS.volume.tsp, unit: 'tsp' };
+    if (!reaches(amount, UNIT_FACTORS.volume.cup / 4)) return { amount: amount / UNIT_FACTORS.volume.tbsp, unit: 'tbsp' };
+    return { amount: amount / UNIT_FACTORS.volume.cup, unit: 'cup' };
+  }
+
+  if (system === 'metric') {
+    return reaches(amount, 1000) ? { amount: amount / 1000, unit: 'kg' } : { amount, unit: 'g' };
+  }
+  if (!reaches(amount, UNIT_FACTORS.weight.lb)) return { amount: amount / UNIT_FACTORS.weight.oz, unit: 'oz' };
+  return { amount: amount / UNIT_FACTORS.weight.lb, unit: 'lb' };
+}
+
+// Render a stored ingredient as "1 1/2 cups rice" (imperial) or "355 ml rice" (metric),
+// followed by its preparation ("3 cloves garlic, minced"). Without a system the amount
+// stays in its own unit ("500 g rice").
+function formatIngredient({ amount, unit, name, preparation }, system = null) {
+  const text = formatQuantity({ amount, unit, name }, system);
+  return preparation ? `${text}, ${preparation}` : text;
+}
+
+function formatQuantity({ amount, unit, name }, system) {
+  const parsed = parseAmount(amount);
+  if (parsed === null) {
+    return amount ? `${amount} ${unit || ''} ${name}`.replace(/\s+/g, ' ').trim() : name;
+  }
+
+  const { dimension, factor, unit: baseUnit } = describeUnit(unit);
+  if (!system) {
+    const metric = (dimension === 'volume' || dimension === 'weight') && (factor === 1 || factor === 1000);
+    const unitText = ['', 'unit'].includes(cleanUnit(unit)) ? '' : countedUnit(cleanUnit(unit), parsed);
+    return `${metric ? formatDecimal(parsed) : formatCount(parsed)} ${unitText} ${name}`.replace(/\s+/g, ' ');
+  }
+
+  const canonical = parsed * factor;
+
+  if (dimension === 'volume' || dimension === 'weight') {
+    const shown = displayQuantity(canonical, dimension, system);
+    const text = system === 'metric' ? formatDecimal(shown.amount) : formatFraction(shown.amount);
+    const plural = system === 'imperial' && shown.unit === 'cup' && shown.amount > 1 && text !== '1' ? 's' : '';
+    return `${text} ${shown.unit}${plural} ${name}`;
+  }
+
+  const countText = formatCount(canonical);
+  return dimension === 'count' ? `${countText} ${name}` : `${countText} ${countedUnit(baseUnit, canonical)} ${name}`;
+}
+
+// "1 cup", "1/2 clove": a unit is singular for an amount of one or less
+function countedUnit(unit, amount) {
+  return amount <= 1 ? singularUnit(unit) : unit;
+}
+
+function formatCount(amount) {
+  return Number.isInteger(amount) ? String(amount) : formatFraction(amount);
+}
+
+const UNIT_SYSTEMS = ['metric', 'imperial'];
+
+module.exports = {
+  UNIT_SYSTEMS,
+  parseAmount,
+  convertAmount,
+  assessQuantities,
+  normalizeQuantity,
+  scaleQuantity,
+  formatIngredient
+};
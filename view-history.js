@@ -0,0 +1,27 @@
+// Re-show policy for a device's view history, shared by the match queries and
+// scripts/check-view-history.js.
+// A recipe the device rated RESHOW_MIN_RATING or higher can come back
+// RESHOW_AFTER_DAYS after it was last viewed. RESHOW_AFTER_DAYS=0 turns this off.
+// Unrated and low-rated views stay hidden until the device resets its history.
+const RESHOW_AFTER_DAYS = process.env.RESHOW_AFTER_DAYS === undefined ? 30 : parseInt(process.env.RESHOW_AFTER_DAYS) || 0;
+const RESHOW_MIN_RATING = parseInt(process.env.RESHOW_MIN_RATING) || 4;
+
+// SQL condition for a view row that hides its recipe: viewed since the device's last
+// history reset and not yet due to come back, or marked "not interested". Expects rv
+// and dvr in the surrounding query, and the re-show settings as the given parameters.
+// An unrated view counts as rating 0, so it never qualifies for re-showing.
+function hiddenViewCondition(daysParam, ratingParam) {
+  return `(
+         rv.not_interested
+         OR (
+           (dvr.reset_at IS NULL OR rv.viewed_at > dvr.reset_at)
+           AND NOT (
+             $${daysParam}::int > 0
+             AND COALESCE(rv.rating, 0) >= $${ratingParam}
+             AND rv.viewed_at < NOW() - make_interval(days => $${daysParam}::int)
+           )
+         )
+       )`;
+}
+
+module.exports = { RESHOW_AFTER_DAYS, RESHOW_MIN_RATING, hiddenViewCondition };